@@ -0,0 +1,10 @@
+const path = require('path');
+
+// Fonts available to PDF jobs: the bundled ones plus any TTF/OTF dropped in FONTS_DIR
+const fontsConfig = {
+  bundledDirectory: path.join(__dirname, '..', 'fonts'),
+  extraDirectory: process.env.FONTS_DIR || null, // Also where scripts/fetch-fallback-fonts.sh puts the CJK and emoji fallbacks
+  defaultFont: process.env.PDF_DEFAULT_FONT || 'courier'
+};
+
+module.exports = fontsConfig;
\ No newline at end of file
@@ -0,0 +1,22 @@
+const path = require('path');
+
+// Storage backend for generated PDFs, selected with STORAGE_DRIVER (local, gridfs or s3)
+const storageConfig = {
+  driver: process.env.STORAGE_DRIVER || 'local',
+  local: {
+    directory: process.env.STORAGE_LOCAL_DIR || path.join(__dirname, '..', 'pdfs')
+  },
+  gridfs: {
+    bucketName: process.env.STORAGE_GRIDFS_BUCKET || 'pdfs'
+  },
+  s3: {
+    endpoint: process.env.S3_ENDPOINT || undefined, // e.g. http://minio:9000 for a local MinIO
+    region: process.env.S3_REGION || 'us-east-1',
+    bucket: process.env.S3_BUCKET || 'pdfs',
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true'
+  }
+};
+
+module.exports = storageConfig;
\ No newline at end of file
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+const pdfBatchSchema = new mongoose.Schema({
+  batchId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  jobIds: {
+    type: [String],
+    required: true
+  },
+  total: {
+    type: Number,
+    required: true
+  },
+  expiredAt: {
+    // Set by the retention policy once every job of the batch has expired
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true // This automatically adds createdAt and updatedAt fields
+});
+
+const PDFBatch = mongoose.model('PDFBatch', pdfBatchSchema);
+
+module.exports = PDFBatch;
\ No newline at end of file
@@ -10,21 +10,159 @@ const pdfJobSchema = new mongoose.Schema({
   status: {
     type: String,
     required: true,
-    enum: ['pending', 'processing', 'completed', 'failed'],
+    enum: ['pending', 'processing', 'completed', 'failed', 'dead-letter', 'cancelled', 'expired'],
     default: 'pending'
   },
   content: {
+    // Required for comma-separated content only, the readable copy of a word list is empty for ['']
     type: String,
-    required: true
+    required: function () {
+      return !this.words;
+    }
+  },
+  words: {
+    // Explicit word list, one spiral cell per item; content then only holds a readable copy
+    type: [String],
+    default: undefined
+  },
+  title: {
+    // Document title, a default one is derived from the source page when empty
+    type: String,
+    default: null
+  },
+  sourcePage: {
+    // Page the job was created from, e.g. 'brackets'
+    type: String,
+    default: null
+  },
+  sourceEntries: {
+    // Table rows listed in the PDF appendix
+    type: [{
+      _id: false,
+      original: String,
+      normalized: String
+    }],
+    default: undefined
+  },
+  algorithm: {
+    // Normalization algorithm applied server-side to raw inputs, null when the words were sent normalized
+    type: String,
+    default: null
+  },
+  algorithmOptions: {
+    // Complete options of the algorithm, e.g. the bracket delimiters, stored as a plain object
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  layout: {
+    // Layout algorithm id, see services/layouts
+    type: String,
+    enum: ['spiral', 'archimedean', 'rings', 'zigzag'],
+    default: 'spiral'
+  },
+  spiralOptions: {
+    // Complete options validated by SpiralGenerator.normalizeOptions, stored as a plain object
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  font: {
+    // Font id from services/fontRegistry.js, resolved when the job is created
+    type: String,
+    default: null
+  },
+  theme: {
+    // Complete theme resolved by services/themes.js, stored as a plain object
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  format: {
+    // Output format, see services/outputFormats.js
+    type: String,
+    enum: ['pdf', 'svg', 'png', 'txt'],
+    default: 'pdf'
+  },
+  dpi: {
+    // Resolution of PNG output
+    type: Number,
+    default: null
+  },
+  batchId: {
+    type: String,
+    default: null,
+    index: true
   },
   filePath: {
     type: String,
     default: null
   },
+  checksum: {
+    type: String,
+    default: null
+  },
   errorMessage: {
     type: String,
     default: null
-  }
+  },
+  claimedBy: {
+    type: String,
+    default: null
+  },
+  claimedAt: {
+    type: Date,
+    default: null
+  },
+  leaseExpiresAt: {
+    type: Date,
+    default: null
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextRetryAt: {
+    type: Date,
+    default: null
+  },
+  cancelledAt: {
+    type: Date,
+    default: null
+  },
+  expiredAt: {
+    type: Date,
+    default: null
+  },
+  callbackUrl: {
+    type: String,
+    default: null
+  },
+  callbackDeliveredAt: {
+    type: Date,
+    default: null
+  },
+  callbackAttempts: {
+    type: Number,
+    default: 0
+  },
+  // When the next webhook delivery is due, null when there is nothing left to deliver
+  callbackNextAttemptAt: {
+    type: Date,
+    default: null
+  },
+  callbackDeliveries: [{
+    _id: false,
+    attempt: Number,
+    event: String,
+    statusCode: Number,
+    error: String,
+    attemptedAt: Date
+  }],
+  errorHistory: [{
+    _id: false,
+    attempt: Number,
+    message: String,
+    retryable: Boolean,
+    failedAt: Date
+  }]
 }, {
   timestamps: true // This automatically adds createdAt and updatedAt fields
 });
@@ -32,11 +170,96 @@ const pdfJobSchema = new mongoose.Schema({
 // Index for efficient querying of pending jobs
 pdfJobSchema.index({ status: 1, createdAt: 1 });
 
+// Index for efficient querying of jobs past the retention period
+pdfJobSchema.index({ status: 1, updatedAt: 1 });
+
+// Index for efficient querying of expired leases
+pdfJobSchema.index({ status: 1, leaseExpiresAt: 1 });
+
+// Index for efficient querying of due webhook deliveries
+pdfJobSchema.index({ callbackNextAttemptAt: 1 });
+
 // Static method to find pending jobs in FIFO order
 pdfJobSchema.statics.findPendingJobs = function() {
   return this.find({ status: 'pending' }).sort({ createdAt: 1 });
 };
 
+// Static method to atomically claim the oldest pending job for a processor instance.
+// findOneAndUpdate guarantees that two instances sharing the same queue never get the same job.
+// Jobs waiting for a retry are skipped until their backoff delay has elapsed.
+// The claim is a lease: the owner must renew it before leaseDuration ms or the job gets requeued.
+pdfJobSchema.statics.claimNextPendingJob = function(instanceId, leaseDuration) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    { status: 'pending', $or: [{ nextRetryAt: null }, { nextRetryAt: { $lte: now } }] },
+    {
+      $set: {
+        status: 'processing',
+        claimedBy: instanceId,
+        claimedAt: now,
+        leaseExpiresAt: new Date(now.getTime() + leaseDuration),
+        nextRetryAt: null
+      },
+      $inc: { attempts: 1 }
+    },
+    { sort: { createdAt: 1 }, new: true }
+  );
+};
+
+// Static method to extend the lease of a job still processing under the given instance.
+// Resolves to false if the lease was lost (job cancelled, or expired and requeued).
+pdfJobSchema.statics.renewLease = async function(jobId, instanceId, leaseDuration) {
+  const result = await this.updateOne(
+    { jobId, status: 'processing', claimedBy: instanceId },
+    { $set: { leaseExpiresAt: new Date(Date.now() + leaseDuration) } }
+  );
+  return result.matchedCount > 0;
+};
+
+// Static method to update a job only while it is still processing under the given instance.
+// Returns null if the job left the processing state or changed owner in the meantime.
+// The lease is released at the same time.
+pdfJobSchema.statics.updateProcessingJob = function(jobId, instanceId, update) {
+  return this.findOneAndUpdate(
+    { jobId, status: 'processing', claimedBy: instanceId },
+    { ...update, $set: { ...update.$set, leaseExpiresAt: null } },
+    { new: true }
+  );
+};
+
+// Static method returning the filter for processing jobs whose lease has expired.
+// Jobs claimed before leases existed have no expiry and are treated as expired.
+pdfJobSchema.statics.expiredLeaseFilter = function() {
+  return {
+    status: 'processing',
+    $or: [{ leaseExpiresAt: null }, { leaseExpiresAt: { $lt: new Date() } }]
+  };
+};
+
+// Static method to atomically cancel a pending or processing job.
+// Returns the job as it was before cancellation, or null if it could not be cancelled.
+pdfJobSchema.statics.cancelJob = function(jobId) {
+  return this.findOneAndUpdate(
+    { jobId, status: { $in: ['pending', 'processing'] } },
+    { $set: { status: 'cancelled', cancelledAt: new Date(), nextRetryAt: null, leaseExpiresAt: null } },
+    { new: false }
+  );
+};
+
+// Static method to atomically claim the oldest due webhook delivery.
+// The next attempt is pushed back by leaseDuration ms, so the delivery is retried if the claiming instance dies.
+pdfJobSchema.statics.claimDueCallback = function(leaseDuration) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    { callbackNextAttemptAt: { $lte: now } },
+    {
+      $set: { callbackNextAttemptAt: new Date(now.getTime() + leaseDuration) },
+      $inc: { callbackAttempts: 1 }
+    },
+    { sort: { callbackNextAttemptAt: 1 }, new: true }
+  );
+};
+
 // Instance method to update job status
 pdfJobSchema.methods.updateStatus = function(newStatus, filePath = null, errorMessage = null) {
   this.status = newStatus;
@@ -45,6 +268,41 @@ pdfJobSchema.methods.updateStatus = function(newStatus, filePath = null, errorMe
   return this.save();
 };
 
+// Instance method to build the public status payload shared by the status and events endpoints
+pdfJobSchema.methods.toStatusResponse = function() {
+  const response = {
+    jobId: this.jobId,
+    status: this.status,
+    ready: this.status === 'completed',
+    attempts: this.attempts,
+    format: this.format,
+    layout: this.layout,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+  
+  // Include filePath and checksum if job is completed
+  if (this.status === 'completed' && this.filePath) {
+    response.filePath = this.filePath;
+    response.checksum = this.checksum;
+  }
+  
+  // Include error message if job failed or ran out of attempts
+  if ((this.status === 'failed' || this.status === 'dead-letter') && this.errorMessage) {
+    response.errorMessage = this.errorMessage;
+  }
+  
+  // Include next retry time if job is waiting for a retry
+  if (this.status === 'pending' && this.nextRetryAt) {
+    response.nextRetryAt = this.nextRetryAt;
+  }
+  
+  return response;
+};
+
 const PDFJob = mongoose.model('PDFJob', pdfJobSchema);
 
+// Statuses a job never leaves, except to expire under the retention policy
+PDFJob.TERMINAL_STATUSES = ['completed', 'failed', 'dead-letter', 'cancelled', 'expired'];
+
 module.exports = PDFJob;
\ No newline at end of file
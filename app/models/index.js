@@ -1,5 +1,7 @@
+const PDFBatch = require('./PDFBatch');
 const PDFJob = require('./PDFJob');
 
 module.exports = {
+  PDFBatch,
   PDFJob
 };
\ No newline at end of file
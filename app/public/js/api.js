@@ -4,6 +4,7 @@
  */
 
 const API_BASE_URL = '/api/pdf';
+const NORMALIZE_BASE_URL = '/api/normalize';
 
 /**
  * Custom error class for API-related errors
@@ -73,19 +74,51 @@ async function makeRequest(url, options = {}) {
 }
 
 /**
- * Generate a new PDF job
- * @param {string} content - The text content to convert to PDF
- * @returns {Promise<{jobId: string}>} - The job ID for the created PDF job
- * @throws {APIError} - When the request fails or validation errors occur
+ * Build the spiral input of a request body
+ * @param {string|string[]} content - Comma-separated words, or a list of words kept one per spiral cell
+ * @param {string} [algorithm] - Normalization algorithm, the list then holds raw inputs normalized by the server
+ * @returns {object} - { content }, { words } or { inputs, algorithm }
+ * @throws {APIError} - When the input is empty
  */
-export async function generatePDF(content) {
+function spiralInput(content, algorithm = undefined) {
+    if (Array.isArray(content)) {
+        if (content.length === 0) {
+            throw new APIError('Words must be a non-empty array', 400, null);
+        }
+        return algorithm ? { inputs: content, algorithm } : { words: content };
+    }
+
     if (!content || typeof content !== 'string' || content.trim().length === 0) {
         throw new APIError('Content is required and must be a non-empty string', 400, null);
     }
+    return { content: content.trim() };
+}
+
+/**
+ * Generate a new PDF job
+ * @param {string|string[]} content - The text content to convert to PDF, or a list of words (one per spiral cell)
+ * @param {object} [options] - Optional job options
+ * @param {string} [options.algorithm] - Normalization algorithm, content is then a list of raw inputs normalized by the server
+ * @param {object} [options.algorithmOptions] - Options of the algorithm, e.g. { delimiters: ['()', '[]'] } for brackets
+ * @param {object} [options.spiralOptions] - Spiral layout options (startDirection, clockwise, marker, separator, snail)
+ * @param {string} [options.layout] - Layout id, one of those returned by getLayouts
+ * @param {string|object} [options.theme] - Theme id, one of those returned by getThemes, or a custom theme object
+ * @param {string} [options.font] - Font id, one of those returned by getFonts
+ * @param {string} [options.format] - Output format: 'pdf' (default), 'svg', 'png' or 'txt'
+ * @param {number} [options.dpi] - Resolution of 'png' output
+ * @param {string} [options.title] - PDF document title
+ * @param {string} [options.sourcePage] - Page the job is created from, e.g. 'brackets'
+ * @param {Array<{original: string, normalized: string}>} [options.sourceEntries] - Rows listed in the PDF appendix,
+ *   by default the normalized inputs
+ * @returns {Promise<{jobId: string}>} - The job ID for the created PDF job
+ * @throws {APIError} - When the request fails or validation errors occur
+ */
+export async function generatePDF(content, options = {}) {
+    const input = spiralInput(content, options.algorithm);
 
     const response = await makeRequest(`${API_BASE_URL}/generate`, {
         method: 'POST',
-        body: JSON.stringify({ content: content.trim() })
+        body: JSON.stringify({ ...input, ...options })
     });
 
     if (!response.jobId) {
@@ -116,6 +149,85 @@ export async function checkStatus(jobId) {
     return response;
 }
 
+/**
+ * Cancel a pending or running PDF job
+ * @param {string} jobId - The job ID to cancel
+ * @returns {Promise<{jobId: string, status: string}>} - The cancelled job information
+ * @throws {APIError} - When the request fails or the job can no longer be cancelled
+ */
+export async function cancelJob(jobId) {
+    if (!jobId || typeof jobId !== 'string' || jobId.trim().length === 0) {
+        throw new APIError('Job ID is required and must be a non-empty string', 400, null);
+    }
+
+    return await makeRequest(`${API_BASE_URL}/cancel/${encodeURIComponent(jobId.trim())}`, {
+        method: 'POST'
+    });
+}
+
+/**
+ * Preview the spiral of some content without creating a job
+ * @param {string|string[]} content - Comma-separated words, or a list of words
+ * @param {object} [spiralOptions] - Spiral layout options, as for generatePDF
+ * @param {string} [layout] - Layout id, one of those returned by getLayouts
+ * @param {string|object} [theme] - Theme id, one of those returned by getThemes, or a custom theme object
+ * @returns {Promise<{text: string, svg: string|null, layout: object}>} - The spiral text, an SVG image for
+ *   layouts that draw words along curves or themes other than the default, and the layout model
+ * @throws {APIError} - When the request fails, with status 413 when the content is too large to preview
+ *   and 503 when the server is busy with other previews
+ */
+export async function previewSpiral(content, spiralOptions = undefined, layout = undefined, theme = undefined) {
+    const input = spiralInput(content);
+
+    return await makeRequest(`${API_BASE_URL}/preview`, {
+        method: 'POST',
+        body: JSON.stringify({ ...input, spiralOptions, layout, theme })
+    });
+}
+
+/**
+ * List the fonts available for PDF jobs
+ * @returns {Promise<{defaultFont: string, fonts: Array<{id: string, name: string, builtin: boolean}>}>} - The fonts and the default font id
+ * @throws {APIError} - When the request fails
+ */
+export async function getFonts() {
+    return await makeRequest(`${API_BASE_URL}/fonts`);
+}
+
+/**
+ * List the layout algorithms available for PDF jobs
+ * @returns {Promise<{defaultLayout: string, layouts: Array<{id: string, name: string, description: string}>}>} - The layouts and the default layout id
+ * @throws {APIError} - When the request fails
+ */
+export async function getLayouts() {
+    return await makeRequest(`${API_BASE_URL}/layouts`);
+}
+
+/**
+ * List the built-in visual themes for PDF jobs
+ * @returns {Promise<{defaultTheme: string, themes: Array<{id: string, theme: object}>}>} - The themes and the default theme id
+ * @throws {APIError} - When the request fails
+ */
+export async function getThemes() {
+    return await makeRequest(`${API_BASE_URL}/themes`);
+}
+
+/**
+ * Normalize strings on the server, with the same algorithms the pages use
+ * @param {string} algorithm - Algorithm id, e.g. 'brackets' or 'pairs-en'
+ * @param {string[]} inputs - Raw strings to normalize
+ * @param {object} [options] - Algorithm options, e.g. { delimiters: ['()', '[]'] } for brackets
+ * @param {boolean} [explain] - Also return the trace of the peel steps of each input
+ * @returns {Promise<{algorithm: string, results: Array<{original: string, normalized: string, trace?: object}>}>} - One result per input
+ * @throws {APIError} - When the request fails, with status 404 for unknown algorithms
+ */
+export async function normalizeStrings(algorithm, inputs, options = undefined, explain = false) {
+    return await makeRequest(`${NORMALIZE_BASE_URL}/${encodeURIComponent(algorithm)}`, {
+        method: 'POST',
+        body: JSON.stringify({ inputs, options, explain })
+    });
+}
+
 /**
  * Get the download URL for a PDF job
  * @param {string} jobId - The job ID to download
@@ -130,6 +242,20 @@ export function getDownloadURL(jobId) {
     return `${API_BASE_URL}/download/${encodeURIComponent(jobId.trim())}`;
 }
 
+/**
+ * Get the Server-Sent Events URL streaming the status of a PDF job
+ * @param {string} jobId - The job ID to follow
+ * @returns {string} - The status stream URL
+ * @throws {APIError} - When jobId is invalid
+ */
+export function getStatusStreamURL(jobId) {
+    if (!jobId || typeof jobId !== 'string' || jobId.trim().length === 0) {
+        throw new APIError('Job ID is required and must be a non-empty string', 400, null);
+    }
+
+    return `${API_BASE_URL}/events/${encodeURIComponent(jobId.trim())}`;
+}
+
 /**
  * Utility function to handle API errors in UI
  * @param {Error} error - The error to handle
@@ -150,4 +276,13 @@ export function getErrorMessage(error) {
  */
 export function isNetworkError(error) {
     return error instanceof APIError && error.status === 0;
+}
+
+/**
+ * Utility function to check if an error means the job expired on the server
+ * @param {Error} error - The error to check
+ * @returns {boolean} - True if the job was removed by the retention policy
+ */
+export function isExpiredError(error) {
+    return error instanceof APIError && error.status === 410;
 }
\ No newline at end of file
@@ -3,8 +3,9 @@
  * Handles bracket normalization and display in a table
  */
 
-import { setupPDFButton, updatePDFButtonState, initializePDFUtils } from './pdf-utils.js';
-import { NormalizationModule, showMessage } from './normalize-utils.js';
+import { setupPDFButton, updatePDFButtonState, updateSpiralPreview, initializePDFUtils } from './pdf-utils.js';
+import { NormalizationModule, escapeHtml, showMessage } from './normalize-utils.js';
+import { MIXED_DELIMITERS, ROUND_DELIMITERS, delimiterMap, explain, normalizeBrackets } from './normalizers.js';
 
 console.log('Brackets module loaded');
 
@@ -19,58 +20,114 @@ const elements = {
     generatePdfButton: document.getElementById('generatePdfButton'),
     resultsTable: document.getElementById('resultsTable'),
     resultsBody: document.getElementById('resultsBody'),
-    emptyState: document.getElementById('emptyState')
+    emptyState: document.getElementById('emptyState'),
+    importButton: document.getElementById('importButton'),
+    importInput: document.getElementById('importFileInput'),
+    exportCsvButton: document.getElementById('exportCsvButton'),
+    exportJsonButton: document.getElementById('exportJsonButton'),
+    modeSelect: document.getElementById('bracketsModeSelect'),
+    extraPairsInput: document.getElementById('bracketsExtraPairs')
 };
 
 // Page identifier for localStorage keys
 const PAGE_ID = 'brackets';
+const SETTINGS_STORAGE_KEY = `${PAGE_ID}DelimiterSettings`;
+
+// Delimiter settings: round brackets only, or every bracket type plus the extra pairs
+let settings = { mode: 'round', extraPairs: '' };
 
 /**
- * Check if internal brackets are balanced
- * @param {string} word - The string to check
- * @returns {boolean} - True if brackets are balanced
+ * Build the algorithm options of the current settings
+ * @param {object} [delimiterSettings] - Settings to convert, the current ones by default
+ * @returns {{delimiters: string[]}} - Options for normalizeBrackets and the PDF job
+ * @throws {Error} - When the extra pairs are invalid
  */
-function checkInternalBrackets(word) {
-    let ref = 0;
+function getBracketOptions(delimiterSettings = settings) {
+    if (delimiterSettings.mode !== 'mixed') {
+        return { delimiters: ROUND_DELIMITERS };
+    }
     
-    for (const char of word) {
-        if (char === '(') {
-            ref += 1;
-        } else if (char === ')') {
-            ref -= 1;
-            if (ref < 0) return false;
+    const extraPairs = delimiterSettings.extraPairs.split(/\s+/).filter(Boolean);
+    const delimiters = [...MIXED_DELIMITERS, ...extraPairs];
+    delimiterMap(delimiters);
+    return { delimiters };
+}
+
+/**
+ * Load the saved delimiter settings, ignoring them if they are no longer valid
+ */
+function loadSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY));
+        if (saved && typeof saved.mode === 'string' && typeof saved.extraPairs === 'string') {
+            getBracketOptions(saved);
+            settings = saved;
         }
+    } catch (error) {
+        console.warn('Failed to load delimiter settings from localStorage:', error);
     }
     
-    return ref === 0;
+    elements.modeSelect.value = settings.mode;
+    elements.extraPairsInput.value = settings.extraPairs;
+    elements.extraPairsInput.disabled = settings.mode !== 'mixed';
 }
 
 /**
- * Normalize brackets in a string
- * @param {string} input - The input string to normalize
- * @returns {string} - The normalized string
+ * Apply the delimiter settings chosen in the form and normalize the table again
  */
-function normalizeBrackets(input) {
-    if (!input || typeof input !== 'string') {
-        return '';
-    }
+function applySettings() {
+    const nextSettings = {
+        mode: elements.modeSelect.value,
+        extraPairs: elements.extraPairsInput.value.trim()
+    };
+    elements.extraPairsInput.disabled = nextSettings.mode !== 'mixed';
     
-    // Convert to string and trim
-    let word = input.trim();
+    try {
+        getBracketOptions(nextSettings);
+    } catch (error) {
+        showMessage('warning', `Invalid extra pairs: ${escapeHtml(error.message)}`);
+        return;
+    }
     
-    // Remove outer brackets while they match and internal brackets are balanced
-    while (word.length > 1 && 
-           word[0] === '(' && 
-           word[word.length - 1] === ')' && 
-           checkInternalBrackets(word.slice(1, -1))) {
-        word = word.slice(1, -1);
+    settings = nextSettings;
+    try {
+        localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+    } catch (error) {
+        console.warn('Failed to save delimiter settings to localStorage:', error);
     }
     
-    return word;
+    bracketsModule.renormalizeAll();
 }
 
-// Create module instance
-const bracketsModule = new NormalizationModule(PAGE_ID, elements, normalizeBrackets, updatePDFButtonState);
+/**
+ * Setup the delimiter settings controls
+ */
+function setupSettings() {
+    if (!elements.modeSelect || !elements.extraPairsInput) return;
+    
+    loadSettings();
+    
+    elements.modeSelect.addEventListener('change', applySettings);
+    elements.extraPairsInput.addEventListener('change', applySettings);
+    
+    // Enter applies the extra pairs instead of submitting the input form
+    elements.extraPairsInput.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') {
+            event.preventDefault();
+            applySettings();
+        }
+    });
+}
+
+// Create module instance, normalizing and explaining with the current delimiter settings
+const bracketsModule = new NormalizationModule(
+    PAGE_ID,
+    elements,
+    input => normalizeBrackets(input, getBracketOptions()),
+    updatePDFButtonState,
+    updateSpiralPreview,
+    input => explain(PAGE_ID, input, getBracketOptions())
+);
 
 /**
  * Initialize the brackets module
@@ -79,11 +136,14 @@ function init() {
     // Initialize PDF utilities with page identifier
     initializePDFUtils('brackets');
     
+    // Restore the delimiter settings before the table is shown
+    setupSettings();
+    
     // Initialize the normalization module
     bracketsModule.init();
     
-    // Setup PDF button
-    setupPDFButton(elements.generatePdfButton, () => bracketsModule.getNormalizedStrings(), showMessage);
+    // Setup PDF button, the server normalizes with the same delimiters
+    setupPDFButton(elements.generatePdfButton, () => bracketsModule.getNormalizedStrings(), showMessage, () => getBracketOptions());
     
     // Make module available globally for remove buttons
     window.currentModule = bracketsModule;
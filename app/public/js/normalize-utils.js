@@ -4,6 +4,8 @@
  * UI handling, and common normalization workflow
  */
 
+import { MAX_INPUTS, MAX_INPUT_LENGTH, MAX_TOTAL_LENGTH } from './normalizers.js';
+
 /**
  * Storage manager for normalized strings
  */
@@ -78,18 +80,176 @@ export function showMessage(type, message) {
     }
 }
 
+/**
+ * Escape text shown inside table cells, inputs may contain angle brackets
+ * @param {string} text - The text to escape
+ * @returns {string} - HTML-safe text
+ */
+export function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Largest file read by the bulk import, the rows themselves must fit the limits of a normalization request
+const MAX_IMPORT_FILE_SIZE = 5 * 1024 * 1024; // 5 MB
+
+// Header names recognised as the input column of an imported CSV file
+const INPUT_COLUMN_NAMES = ['original', 'input'];
+
+/**
+ * Parse CSV text into rows of cells, following RFC 4180 quoting
+ * The delimiter is the most frequent of comma, semicolon and tab in the first line
+ * @param {string} text - CSV content
+ * @returns {string[][]} - Rows of cells, without empty lines
+ */
+export function parseCSV(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = [',', ';', '\t']
+        .map(candidate => ({ candidate, count: firstLine.split(candidate).length }))
+        .reduce((best, current) => current.count > best.count ? current : best).candidate;
+    
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    
+    for (let index = 0; index < text.length; index++) {
+        const char = text[index];
+        
+        if (quoted) {
+            if (char === '"' && text[index + 1] === '"') {
+                cell += '"';
+                index++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[index + 1] === '\n') index++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    
+    row.push(cell);
+    rows.push(row);
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Extract the inputs of an imported file
+ * TXT files hold one input per line; CSV files one per row, taken from the "original" or "input" column
+ * when the header names one and from the first column otherwise, or one per column for a single row;
+ * JSON files hold an array of strings, of { original } or { input } objects, or of rows
+ * @param {string} fileName - Name of the file, its extension picks the format
+ * @param {string} text - File content
+ * @returns {string[]} - Trimmed inputs, without empty ones
+ * @throws {Error} - When the content doesn't match the format
+ */
+export function parseImportFile(fileName, text) {
+    const extension = fileName.toLowerCase().split('.').pop();
+    const content = text.replace(/^\uFEFF/, '');
+    let values;
+    
+    if (extension === 'json') {
+        let data;
+        try {
+            data = JSON.parse(content);
+        } catch (error) {
+            throw new Error('The file is not valid JSON');
+        }
+        if (!Array.isArray(data)) {
+            throw new Error('JSON files must contain an array');
+        }
+        
+        values = data.map(item => {
+            if (Array.isArray(item)) return item[0];
+            if (item && typeof item === 'object') return item.original ?? item.input;
+            return item;
+        });
+        if (!values.every(value => value === undefined || value === null || typeof value === 'string' || typeof value === 'number')) {
+            throw new Error('JSON items must be strings, { original } objects or rows');
+        }
+    } else if (extension === 'csv') {
+        const rows = parseCSV(content);
+        const header = rows.length > 0 ? rows[0].map(cell => cell.trim().toLowerCase()) : [];
+        const column = header.findIndex(cell => INPUT_COLUMN_NAMES.includes(cell));
+        
+        if (column >= 0) {
+            values = rows.slice(1).map(cells => cells[column]);
+        } else if (rows.length === 1) {
+            values = rows[0];
+        } else {
+            values = rows.map(cells => cells[0]);
+        }
+    } else {
+        values = content.split(/\r?\n/);
+    }
+    
+    return values
+        .filter(value => value !== undefined && value !== null)
+        .map(value => String(value).trim())
+        .filter(value => value !== '');
+}
+
+/**
+ * Format rows as CSV, quoting the cells that need it
+ * @param {string[][]} rows - Rows of cells, the first one being the header
+ * @returns {string} - CSV content with CRLF line endings
+ */
+export function toCSV(rows) {
+    const quote = value => /[",\r\n]|^\s|\s$/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+    return rows.map(cells => cells.map(cell => quote(String(cell))).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Let the user download some content as a file
+ * @param {string} fileName - Name of the downloaded file
+ * @param {string} type - MIME type
+ * @param {string} content - File content
+ */
+export function downloadFile(fileName, type, content) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
 /**
  * Base class for normalization modules
  */
 export class NormalizationModule {
-    constructor(pageId, elements, normalizeFunction, updatePDFButtonState = null) {
+    constructor(pageId, elements, normalizeFunction, updatePDFButtonState = null, updatePreview = null, explainFunction = null) {
         this.pageId = pageId;
         this.elements = elements;
         this.normalizeFunction = normalizeFunction;
         this.updatePDFButtonState = updatePDFButtonState;
+        this.updatePreview = updatePreview;
+        this.explainFunction = explainFunction;
         this.storage = new StorageManager(pageId);
         this.state = {
-            normalizedStrings: []
+            normalizedStrings: [],
+            // Rows expanded into the trace of their normalization
+            expandedIds: new Set(),
+            // Last row id given, ids stay unique when many rows are added in the same millisecond
+            lastId: 0
         };
     }
 
@@ -99,6 +259,7 @@ export class NormalizationModule {
     init() {
         // Load saved strings from localStorage
         this.state.normalizedStrings = this.storage.load();
+        this.state.lastId = this.state.normalizedStrings.reduce((max, item) => Math.max(max, item.id), 0);
         
         this.setupEventListeners();
         this.updateDisplay();
@@ -116,6 +277,29 @@ export class NormalizationModule {
         if (this.elements.clearButton) {
             this.elements.clearButton.addEventListener('click', () => this.handleClearAll());
         }
+        
+        // The import button opens the hidden file input
+        if (this.elements.importButton && this.elements.importInput) {
+            this.elements.importButton.addEventListener('click', () => this.elements.importInput.click());
+            this.elements.importInput.addEventListener('change', () => this.handleImport());
+        }
+        
+        if (this.elements.exportCsvButton) {
+            this.elements.exportCsvButton.addEventListener('click', () => this.exportTable('csv'));
+        }
+        
+        if (this.elements.exportJsonButton) {
+            this.elements.exportJsonButton.addEventListener('click', () => this.exportTable('json'));
+        }
+    }
+
+    /**
+     * Give a new row id
+     * @returns {number} - An id greater than every id given before, close to the current time
+     */
+    nextId() {
+        this.state.lastId = Math.max(Date.now(), this.state.lastId + 1);
+        return this.state.lastId;
     }
 
     /**
@@ -132,12 +316,18 @@ export class NormalizationModule {
             return;
         }
         
+        const limitWarning = this.checkLimits([input], 'this string');
+        if (limitWarning) {
+            showMessage('warning', limitWarning);
+            return;
+        }
+        
         // Normalize the input using the provided function
         const normalized = this.normalizeFunction(input);
         
         // Add to array
         this.state.normalizedStrings.push({
-            id: Date.now(),
+            id: this.nextId(),
             original: input,
             normalized: normalized
         });
@@ -155,6 +345,98 @@ export class NormalizationModule {
         showMessage('success', 'String normalized and added to the table');
     }
 
+    /**
+     * Check that the table stays within the server limits once some inputs are added,
+     * the PDF job sends the whole table in one request
+     * @param {string[]} inputs - Inputs about to be added
+     * @param {string} source - Where the inputs come from, e.g. 'the file', used in the warning
+     * @returns {string|null} - Warning to show, null when the inputs fit
+     */
+    checkLimits(inputs, source) {
+        const originals = [...this.state.normalizedStrings.map(item => item.original), ...inputs];
+        if (originals.length > MAX_INPUTS) {
+            return `The table can hold at most ${MAX_INPUTS} strings, ${source} would bring it to ${originals.length}`;
+        }
+        
+        if (inputs.some(input => input.length > MAX_INPUT_LENGTH)) {
+            return `Strings can be at most ${MAX_INPUT_LENGTH} characters long`;
+        }
+        
+        const totalLength = originals.reduce((total, original) => total + original.length, 0);
+        if (totalLength > MAX_TOTAL_LENGTH) {
+            return `The table can hold at most ${MAX_TOTAL_LENGTH} characters, ${source} would bring it to ${totalLength}`;
+        }
+        
+        return null;
+    }
+
+    /**
+     * Handle the file chosen for import: normalize every input and add them to the table
+     * @returns {Promise<void>}
+     */
+    async handleImport() {
+        const file = this.elements.importInput.files[0];
+        
+        // Reset the input so the same file can be imported again
+        this.elements.importInput.value = '';
+        if (!file) return;
+        
+        if (file.size > MAX_IMPORT_FILE_SIZE) {
+            showMessage('warning', `The file is too large, at most ${MAX_IMPORT_FILE_SIZE / 1024 / 1024} MB can be imported`);
+            return;
+        }
+        
+        let inputs;
+        try {
+            inputs = parseImportFile(file.name, await file.text());
+        } catch (error) {
+            showMessage('error', `Import failed: ${escapeHtml(error.message)}`);
+            return;
+        }
+        
+        if (inputs.length === 0) {
+            showMessage('warning', 'The file contains no strings to import');
+            return;
+        }
+        
+        const limitWarning = this.checkLimits(inputs, 'the file');
+        if (limitWarning) {
+            showMessage('warning', limitWarning);
+            return;
+        }
+        
+        inputs.forEach(input => {
+            this.state.normalizedStrings.push({
+                id: this.nextId(),
+                original: input,
+                normalized: this.normalizeFunction(input)
+            });
+        });
+        
+        this.storage.save(this.state.normalizedStrings);
+        this.updateDisplay();
+        showMessage('success', `${inputs.length} ${inputs.length === 1 ? 'string' : 'strings'} imported and normalized`);
+    }
+
+    /**
+     * Download the table with original and normalized values
+     * @param {string} format - 'csv' or 'json'
+     */
+    exportTable(format) {
+        const rows = this.state.normalizedStrings.map(({ original, normalized }) => ({ original, normalized }));
+        if (rows.length === 0) {
+            return;
+        }
+        
+        if (format === 'json') {
+            downloadFile(`${this.pageId}-normalized.json`, 'application/json', JSON.stringify(rows, null, 2));
+        } else {
+            // The byte order mark lets spreadsheets detect UTF-8
+            const csv = toCSV([['original', 'normalized'], ...rows.map(row => [row.original, row.normalized])]);
+            downloadFile(`${this.pageId}-normalized.csv`, 'text/csv;charset=utf-8', '\uFEFF' + csv);
+        }
+    }
+
     /**
      * Handle clear all button
      */
@@ -165,6 +447,7 @@ export class NormalizationModule {
         
         if (confirm('Are you sure you want to clear all normalized strings?')) {
             this.state.normalizedStrings = [];
+            this.state.expandedIds.clear();
             this.storage.clear();
             this.updateDisplay();
             showMessage('info', 'All strings cleared');
@@ -177,11 +460,69 @@ export class NormalizationModule {
      */
     removeItem(id) {
         this.state.normalizedStrings = this.state.normalizedStrings.filter(item => item.id !== id);
+        this.state.expandedIds.delete(id);
         this.storage.save(this.state.normalizedStrings);
         this.updateDisplay();
         showMessage('info', 'String removed from table');
     }
 
+    /**
+     * Expand a row into the trace of its normalization, or collapse it
+     * @param {number} id - The ID of the item to toggle
+     */
+    toggleTrace(id) {
+        if (this.state.expandedIds.has(id)) {
+            this.state.expandedIds.delete(id);
+        } else {
+            this.state.expandedIds.add(id);
+        }
+        this.updateDisplay();
+    }
+
+    /**
+     * Build the table row showing why a string normalized the way it did
+     * @param {object} item - Table item with the original string
+     * @returns {HTMLTableRowElement} - The trace row
+     */
+    createTraceRow(item) {
+        const { trace } = this.explainFunction(item.original);
+        const chars = Array.from(trace.start);
+        const show = text => text ? `<code>${escapeHtml(text)}</code>` : '<em>empty</em>';
+        
+        // Step n leaves the start without its n first and n last characters
+        const steps = trace.steps.map((step, index) => `
+            <li>
+                Removed <code>${escapeHtml(step.removed[0])}</code> and <code>${escapeHtml(step.removed[1])}</code>,
+                leaving ${show(chars.slice(index + 1, chars.length - index - 1).join(''))}
+            </li>
+        `).join('');
+        
+        const row = document.createElement('tr');
+        row.className = 'table-light';
+        row.innerHTML = `
+            <td></td>
+            <td colspan="3" class="small">
+                <div>Start: ${show(trace.start)}</div>
+                ${steps ? `<ol class="mb-1">${steps}</ol>` : '<div>No pair removed</div>'}
+                <div class="text-muted">Stopped: ${escapeHtml(trace.stop.message)}</div>
+            </td>
+        `;
+        return row;
+    }
+
+    /**
+     * Normalize every row again, after the normalization settings of the page changed
+     */
+    renormalizeAll() {
+        this.state.normalizedStrings = this.state.normalizedStrings.map(item => ({
+            ...item,
+            normalized: this.normalizeFunction(item.original)
+        }));
+        
+        this.storage.save(this.state.normalizedStrings);
+        this.updateDisplay();
+    }
+
     /**
      * Update the display table
      */
@@ -193,6 +534,20 @@ export class NormalizationModule {
         // Clear existing rows
         this.elements.resultsBody.innerHTML = '';
         
+        // Refresh the spiral preview, also when the table becomes empty
+        if (this.updatePreview) {
+            this.updatePreview(this.state.normalizedStrings);
+        }
+        
+        // Update clear and export button states
+        if (this.elements.clearButton) {
+            this.elements.clearButton.disabled = this.state.normalizedStrings.length === 0;
+        }
+        
+        [this.elements.exportCsvButton, this.elements.exportJsonButton].forEach(button => {
+            if (button) button.disabled = this.state.normalizedStrings.length === 0;
+        });
+        
         if (this.state.normalizedStrings.length === 0) {
             // Show empty state
             this.elements.emptyState.style.display = 'block';
@@ -206,25 +561,29 @@ export class NormalizationModule {
         
         // Add rows for each normalized string
         this.state.normalizedStrings.forEach((item, index) => {
+            const expanded = this.explainFunction && this.state.expandedIds.has(item.id);
             const row = document.createElement('tr');
             row.innerHTML = `
                 <td>${index + 1}</td>
-                <td>${item.original}</td>
-                <td class="text-success">${item.normalized}</td>
+                <td>${escapeHtml(item.original)}</td>
+                <td class="text-success">${escapeHtml(item.normalized)}</td>
                 <td>
+                    ${this.explainFunction ? `
+                    <button class="btn btn-sm btn-outline-secondary me-1" onclick="window.currentModule.toggleTrace(${item.id})">
+                        ${expanded ? 'Hide' : 'Explain'}
+                    </button>` : ''}
                     <button class="btn btn-sm btn-outline-danger" onclick="window.currentModule.removeItem(${item.id})">
                         Remove
                     </button>
                 </td>
             `;
             this.elements.resultsBody.appendChild(row);
+            
+            if (expanded) {
+                this.elements.resultsBody.appendChild(this.createTraceRow(item));
+            }
         });
         
-        // Update clear button state
-        if (this.elements.clearButton) {
-            this.elements.clearButton.disabled = this.state.normalizedStrings.length === 0;
-        }
-        
         // Update generate PDF button state if available
         if (this.elements.generatePdfButton && this.updatePDFButtonState) {
             this.updatePDFButtonState(this.elements.generatePdfButton, this.state.normalizedStrings.length);
@@ -0,0 +1,27 @@
+/**
+ * Normalizers Module
+ * Exposes the normalization algorithms shared with the server (app/shared/normalizers.js)
+ * as ES module exports; the shared file defines window.Normalizers when loaded in the browser
+ */
+
+import '/shared/normalizers.js';
+
+export const {
+    MAX_INPUTS,
+    MAX_INPUT_LENGTH,
+    MAX_TOTAL_LENGTH,
+    MIXED_DELIMITERS,
+    ROUND_DELIMITERS,
+    delimiterMap,
+    explain,
+    getAlgorithm,
+    getPairMap,
+    listAlgorithms,
+    listPairMaps,
+    normalize,
+    normalizeBrackets,
+    normalizePairs,
+    normalizePairsEN,
+    pairMap,
+    resolveOptions
+} = window.Normalizers;
\ No newline at end of file
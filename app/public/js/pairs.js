@@ -0,0 +1,181 @@
+/**
+ * Pairs Module - String Normalization Functionality
+ * Handles letter pairs normalization for every pair map and display in a table
+ * The map comes from the page URL, /pairs-en, /pairs-it and so on, and each map keeps its own table
+ */
+
+import { setupPDFButton, updatePDFButtonState, updateSpiralPreview, initializePDFUtils } from './pdf-utils.js';
+import { NormalizationModule, escapeHtml, showMessage } from './normalize-utils.js';
+import { explain, getAlgorithm, getPairMap, listPairMaps, normalize, pairMap as checkPairs } from './normalizers.js';
+
+console.log('Pairs module loaded');
+
+/**
+ * DOM Elements
+ */
+const elements = {
+    inputForm: document.getElementById('pairsForm'),
+    inputField: document.getElementById('pairsInput'),
+    addButton: document.getElementById('addButton'),
+    clearButton: document.getElementById('clearButton'),
+    generatePdfButton: document.getElementById('generatePdfButton'),
+    resultsTable: document.getElementById('resultsTable'),
+    resultsBody: document.getElementById('resultsBody'),
+    emptyState: document.getElementById('emptyState'),
+    importButton: document.getElementById('importButton'),
+    importInput: document.getElementById('importFileInput'),
+    exportCsvButton: document.getElementById('exportCsvButton'),
+    exportJsonButton: document.getElementById('exportJsonButton'),
+    title: document.getElementById('pairsTitle'),
+    description: document.getElementById('pairsDescription'),
+    mapSelect: document.getElementById('pairMapSelect'),
+    customPairsGroup: document.getElementById('customPairsGroup'),
+    customPairsInput: document.getElementById('customPairsInput'),
+    pairsGroup: document.getElementById('pairMapPairsGroup'),
+    pairsList: document.getElementById('pairMapPairs')
+};
+
+// Pair map of this page, English for unknown URLs
+const pairMap = getPairMap(window.location.pathname.replace(/^\/pairs-/, '').replace(/\/$/, '')) || getPairMap('en');
+
+// Page identifier for localStorage keys, also the id of the normalization algorithm
+const PAGE_ID = `pairs-${pairMap.id}`;
+const CUSTOM_PAIRS_STORAGE_KEY = `${PAGE_ID}Pairs`;
+
+// Pairs of the custom map, set by the user
+let customPairs = [];
+
+/**
+ * Build the algorithm options of the page
+ * @returns {object|undefined} - { pairs } for the custom map, undefined for the built-in maps
+ */
+function getPairOptions() {
+    return pairMap.pairs ? undefined : { pairs: customPairs };
+}
+
+/**
+ * Split the pairs typed by the user
+ * @param {string} text - Pairs separated by spaces, e.g. 'az by'
+ * @returns {string[]} - The pairs
+ * @throws {Error} - When a pair is invalid
+ */
+function parseCustomPairs(text) {
+    const pairs = text.split(/\s+/).filter(Boolean);
+    checkPairs(pairs);
+    return pairs;
+}
+
+/**
+ * Show the name, description and pairs of the page map, and the selector of the other maps
+ */
+function setupPairMap() {
+    const { name, description } = getAlgorithm(PAGE_ID);
+    document.title = `${name} - ATOLOMIO PP homework`;
+    if (elements.title) elements.title.textContent = `${name} Normalizer`;
+    if (elements.description) elements.description.textContent = description;
+    
+    if (elements.mapSelect) {
+        listPairMaps().forEach(map => {
+            const option = document.createElement('option');
+            option.value = map.id;
+            option.textContent = map.name;
+            option.selected = map.id === pairMap.id;
+            elements.mapSelect.appendChild(option);
+        });
+        
+        // Every map has its own page, table and jobs
+        elements.mapSelect.addEventListener('change', () => {
+            window.location.href = `/pairs-${elements.mapSelect.value}`;
+        });
+    }
+    
+    if (pairMap.pairs) {
+        if (elements.pairsList) {
+            elements.pairsList.textContent = pairMap.pairs.map(pair => Array.from(pair).join('-')).join(', ');
+        }
+        return;
+    }
+    
+    // The custom map shows its pairs in an editable field instead
+    if (elements.pairsGroup) elements.pairsGroup.style.display = 'none';
+    if (!elements.customPairsGroup || !elements.customPairsInput) return;
+    elements.customPairsGroup.style.display = 'block';
+    
+    try {
+        customPairs = parseCustomPairs(localStorage.getItem(CUSTOM_PAIRS_STORAGE_KEY) || '');
+    } catch (error) {
+        console.warn('Ignoring invalid custom pairs from localStorage:', error);
+    }
+    elements.customPairsInput.value = customPairs.join(' ');
+    
+    elements.customPairsInput.addEventListener('change', applyCustomPairs);
+    
+    // Enter applies the pairs instead of submitting the input form
+    elements.customPairsInput.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') {
+            event.preventDefault();
+            applyCustomPairs();
+        }
+    });
+}
+
+/**
+ * Apply the custom pairs typed by the user and normalize the table again
+ */
+function applyCustomPairs() {
+    let pairs;
+    try {
+        pairs = parseCustomPairs(elements.customPairsInput.value);
+    } catch (error) {
+        showMessage('warning', `Invalid custom pairs: ${escapeHtml(error.message)}`);
+        return;
+    }
+    
+    customPairs = pairs;
+    try {
+        localStorage.setItem(CUSTOM_PAIRS_STORAGE_KEY, customPairs.join(' '));
+    } catch (error) {
+        console.warn('Failed to save custom pairs to localStorage:', error);
+    }
+    
+    pairsModule.renormalizeAll();
+}
+
+// Create module instance
+const pairsModule = new NormalizationModule(
+    PAGE_ID,
+    elements,
+    input => normalize(PAGE_ID, input, getPairOptions()),
+    updatePDFButtonState,
+    updateSpiralPreview,
+    input => explain(PAGE_ID, input, getPairOptions())
+);
+
+/**
+ * Initialize the pairs module
+ */
+function init() {
+    // Initialize PDF utilities with page identifier
+    initializePDFUtils(PAGE_ID);
+    
+    // Show the map and restore the custom pairs before the table is shown
+    setupPairMap();
+    
+    // Initialize the normalization module
+    pairsModule.init();
+    
+    // Setup PDF button, the server normalizes with the same map
+    setupPDFButton(elements.generatePdfButton, () => pairsModule.getNormalizedStrings(), showMessage, getPairOptions);
+    
+    // Make module available globally for remove buttons
+    window.currentModule = pairsModule;
+    
+    console.log(`${PAGE_ID} module initialized`);
+}
+
+// Initialize when DOM is loaded
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+} else {
+    init();
+}
\ No newline at end of file
@@ -3,11 +3,23 @@
  * Handles PDF generation for normalized strings
  */
 
-import { generatePDF, checkStatus, getDownloadURL, getErrorMessage, isNetworkError } from './api.js';
+import { generatePDF, previewSpiral, getFonts, getLayouts, getThemes, checkStatus, cancelJob, getDownloadURL, getStatusStreamURL, getErrorMessage, isNetworkError, isExpiredError } from './api.js';
+import { showMessage } from './normalize-utils.js';
 
 // Global variable to store the page identifier for localStorage keys
 let currentPageId = null;
 
+// Handle of the running job monitor (status stream or polling), used to stop it
+let currentMonitor = null;
+
+// Preview refresh: wait for the table to settle, and ignore answers to outdated requests
+const PREVIEW_DEBOUNCE_DELAY = 300; // milliseconds
+let previewTimer = null;
+let previewRequestId = 0;
+
+// Strings of the last preview, shown again with another layout or theme when the selection changes
+let previewStrings = [];
+
 /**
  * Initialize PDF utilities with page identifier
  * @param {string} pageId - Unique identifier for the page (e.g., 'brackets', 'pairs-en')
@@ -18,18 +30,120 @@ export function initializePDFUtils(pageId) {
     // Setup close button for PDF status section
     setupClosePDFStatusButton();
     
+    // Setup cancel button for running jobs
+    setupCancelPDFJobButton();
+    
+    // Fill the layout, theme and font selectors with the options offered by the server
+    setupLayoutSelect();
+    setupThemeSelect();
+    setupFontSelect();
+    
     // Restore last job from localStorage on initialization
     restoreLastJobFromStorage();
 }
 
+/**
+ * Build the spiral words from normalized strings
+ * @param {Array} normalizedStrings - Array of objects with normalized strings
+ * @returns {string[]} - One word per table row, sent as a list so commas and empty strings survive
+ */
+function buildSpiralWords(normalizedStrings) {
+    return normalizedStrings.map(item => item.normalized);
+}
+
+/**
+ * Get the selected value of an optional select element
+ * @param {string} id - Element id
+ * @returns {string|undefined} - The selected value, undefined for the server default
+ */
+function getSelectedValue(id) {
+    const select = document.getElementById(id);
+    return select && select.value ? select.value : undefined;
+}
+
+/**
+ * Show the spiral preview as text, or as an image for layouts drawn along curves and coloured themes
+ * @param {string} text - Spiral text
+ * @param {string|null} svg - SVG image, null for plain text previews
+ */
+function showPreview(text, svg) {
+    const previewElement = document.getElementById('spiralPreview');
+    const imageElement = document.getElementById('spiralPreviewImage');
+    
+    if (svg && imageElement) {
+        imageElement.innerHTML = svg;
+        imageElement.style.display = 'block';
+        previewElement.textContent = '';
+        previewElement.style.display = 'none';
+        return;
+    }
+    
+    if (imageElement) {
+        imageElement.innerHTML = '';
+        imageElement.style.display = 'none';
+    }
+    previewElement.textContent = text;
+    previewElement.style.display = 'block';
+}
+
+/**
+ * Refresh the live spiral preview panel
+ * @param {Array} normalizedStrings - Array of objects with normalized strings
+ */
+export function updateSpiralPreview(normalizedStrings) {
+    const previewElement = document.getElementById('spiralPreview');
+    const infoElement = document.getElementById('spiralPreviewInfo');
+    if (!previewElement) return;
+    
+    clearTimeout(previewTimer);
+    const requestId = ++previewRequestId;
+    
+    previewStrings = normalizedStrings || [];
+    const words = buildSpiralWords(previewStrings);
+    if (words.length === 0) {
+        showPreview('', null);
+        if (infoElement) infoElement.textContent = 'Add some strings to preview the spiral';
+        return;
+    }
+    
+    previewTimer = setTimeout(async () => {
+        try {
+            const { text, svg, layout } = await previewSpiral(
+                words,
+                undefined,
+                getSelectedValue('pdfLayoutSelect'),
+                getSelectedValue('pdfThemeSelect')
+            );
+            if (requestId !== previewRequestId) return;
+            
+            showPreview(text, svg);
+            if (infoElement) {
+                infoElement.textContent = layout.type === 'vector'
+                    ? `${layout.words.length} words`
+                    : `${layout.words.length} words, ${layout.width} × ${layout.height} characters`;
+            }
+        } catch (error) {
+            if (requestId !== previewRequestId) return;
+            
+            showPreview('', null);
+            if (infoElement) {
+                infoElement.textContent = error.status === 413
+                    ? 'Too many strings for a live preview, generate a file to see the spiral'
+                    : `Preview unavailable: ${getErrorMessage(error)}`;
+            }
+        }
+    }, PREVIEW_DEBOUNCE_DELAY);
+}
+
 /**
  * Generate spiral PDF from normalized strings
  * @param {Array} normalizedStrings - Array of objects with normalized strings
  * @param {HTMLElement} button - The button element to show loading state
  * @param {Function} showMessage - Function to show simple messages to user
+ * @param {object} [algorithmOptions] - Options of the page algorithm, e.g. the bracket delimiters
  * @returns {Promise<void>}
  */
-export async function generateSpiralPDF(normalizedStrings, button, showMessage) {
+export async function generateSpiralPDF(normalizedStrings, button, showMessage, algorithmOptions = undefined) {
     if (!normalizedStrings || normalizedStrings.length === 0) {
         showMessage('warning', 'No normalized strings available for PDF generation');
         return;
@@ -38,16 +152,20 @@ export async function generateSpiralPDF(normalizedStrings, button, showMessage)
     const originalText = button.textContent;
     
     try {
-        // Collect all normalized strings and join with commas
-        const normalizedWords = normalizedStrings.map(item => item.normalized);
-        const content = normalizedWords.join(', ');
-        
         // Show loading state
         button.disabled = true;
         button.textContent = 'Generating...';
         
-        // Call the PDF generation API using the shared API module
-        const response = await generatePDF(content);
+        // Send the raw inputs, the server normalizes them with the page algorithm and lists them in the appendix
+        const response = await generatePDF(normalizedStrings.map(item => item.original), {
+            algorithm: currentPageId,
+            algorithmOptions,
+            sourcePage: currentPageId || undefined,
+            layout: getSelectedValue('pdfLayoutSelect'),
+            theme: getSelectedValue('pdfThemeSelect'),
+            font: getSelectedValue('pdfFontSelect'),
+            format: getSelectedValue('pdfFormatSelect')
+        });
         
         // Save job to localStorage
         saveJobToStorage(response.jobId);
@@ -77,6 +195,7 @@ function showPDFStatus(jobId) {
     const jobIdElement = document.getElementById('pdfJobId');
     const jobStatusElement = document.getElementById('pdfJobStatus');
     const downloadSection = document.getElementById('pdfDownloadSection');
+    const cancelButton = document.getElementById('cancelPdfJob');
     
     if (statusSection && jobIdElement && jobStatusElement) {
         // Show the status section
@@ -94,6 +213,11 @@ function showPDFStatus(jobId) {
             downloadSection.style.display = 'none';
         }
         
+        // New jobs can be cancelled
+        if (cancelButton) {
+            cancelButton.style.display = 'inline-block';
+        }
+        
         // Scroll to status section
         statusSection.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
     }
@@ -103,11 +227,13 @@ function showPDFStatus(jobId) {
  * Update PDF status display
  * @param {string} status - The job status
  * @param {string} jobId - The job ID (for download link)
+ * @param {string} [format] - The job output format (for download link label)
  */
-function updatePDFStatus(status, jobId) {
+function updatePDFStatus(status, jobId, format) {
     const jobStatusElement = document.getElementById('pdfJobStatus');
     const downloadSection = document.getElementById('pdfDownloadSection');
     const downloadLink = document.getElementById('pdfDownloadLink');
+    const cancelButton = document.getElementById('cancelPdfJob');
     
     if (jobStatusElement) {
         jobStatusElement.textContent = status;
@@ -118,11 +244,17 @@ function updatePDFStatus(status, jobId) {
     if (downloadSection && downloadLink) {
         if (status === 'completed') {
             downloadLink.href = getDownloadURL(jobId);
+            downloadLink.textContent = `Download ${(format || 'pdf').toUpperCase()}`;
             downloadSection.style.display = 'block';
         } else {
             downloadSection.style.display = 'none';
         }
     }
+    
+    // Only unfinished jobs can be cancelled
+    if (cancelButton) {
+        cancelButton.style.display = status === 'pending' || status === 'processing' ? 'inline-block' : 'none';
+    }
 }
 
 /**
@@ -140,58 +272,135 @@ function getStatusBadgeClass(status) {
             return 'bg-success text-white';
         case 'failed':
             return 'bg-danger text-white';
+        case 'dead-letter':
+            return 'bg-dark text-white';
+        case 'cancelled':
+        case 'expired':
+            return 'bg-secondary text-white';
         default:
             return 'bg-secondary text-white';
     }
 }
 
+/**
+ * Handle a status update for the monitored job
+ * @param {object} statusData - The job status information
+ * @param {string} jobId - The job ID
+ * @returns {boolean} - True if the job reached a final status and monitoring should stop
+ */
+function handleStatusUpdate(statusData, jobId) {
+    // Update status display
+    updatePDFStatus(statusData.status, jobId, statusData.format);
+    
+    if (statusData.status === 'completed') {
+        // Job completed, stop monitoring
+        return true;
+    } else if (['failed', 'dead-letter', 'cancelled', 'expired'].includes(statusData.status)) {
+        // Job failed, was cancelled or expired, clear from localStorage and stop monitoring
+        clearJobFromStorage();
+        return true;
+    }
+    
+    // Job still pending/processing, continue monitoring
+    return false;
+}
+
+/**
+ * Stop the current job monitoring, if any
+ */
+function stopJobMonitoring() {
+    if (currentMonitor) {
+        currentMonitor.stop();
+        currentMonitor = null;
+    }
+}
+
 /**
  * Monitor job status and update the status section
+ * Uses Server-Sent Events and falls back to polling when the stream is unavailable
+ * @param {string} jobId - The job ID to monitor
+ */
+function startJobMonitoring(jobId) {
+    stopJobMonitoring();
+    
+    if (typeof EventSource === 'undefined') {
+        startStatusPolling(jobId);
+        return;
+    }
+    
+    const maxStreamErrors = 3; // Consecutive errors before switching to polling
+    let streamErrors = 0;
+    const eventSource = new EventSource(getStatusStreamURL(jobId));
+    
+    currentMonitor = { stop: () => eventSource.close() };
+    
+    eventSource.addEventListener('status', (event) => {
+        streamErrors = 0;
+        
+        if (handleStatusUpdate(JSON.parse(event.data), jobId)) {
+            stopJobMonitoring();
+        }
+    });
+    
+    eventSource.onerror = () => {
+        streamErrors++;
+        
+        // EventSource reconnects automatically, give up on the stream only after repeated failures
+        if (streamErrors >= maxStreamErrors || eventSource.readyState === EventSource.CLOSED) {
+            console.warn('Job status stream unavailable, falling back to polling');
+            startStatusPolling(jobId);
+        }
+    };
+}
+
+/**
+ * Poll job status until the job is finished
  * @param {string} jobId - The job ID to monitor
  */
-async function startJobMonitoring(jobId) {
-    const maxAttempts = 20; // Maximum 20 attempts (1 minute with 3-second intervals)
-    let attempts = 0;
+function startStatusPolling(jobId) {
+    stopJobMonitoring();
+    
+    const minDelay = 3000; // 3 seconds
+    const maxDelay = 30000; // Slow down to 30 seconds for long queues
+    let delay = minDelay;
+    let timeoutId = null;
+    let stopped = false;
+    
+    currentMonitor = {
+        stop: () => {
+            stopped = true;
+            clearTimeout(timeoutId);
+        }
+    };
     
     const checkJobStatus = async () => {
         try {
-            attempts++;
             const statusData = await checkStatus(jobId);
             
-            // Update status display
-            updatePDFStatus(statusData.status, jobId);
-            
-            if (statusData.status === 'completed') {
-                // Job completed, stop monitoring
-                return;
-            } else if (statusData.status === 'failed') {
-                // Job failed, clear from localStorage and stop monitoring
-                clearJobFromStorage();
-                return;
-            } else if (attempts >= maxAttempts) {
-                // Max attempts reached, stop monitoring
+            if (stopped || handleStatusUpdate(statusData, jobId)) {
                 return;
             }
             
-            // Job still pending/processing, continue monitoring
-            setTimeout(checkJobStatus, 3000); // Check again in 3 seconds
-            
         } catch (error) {
             console.error('Job status check failed:', error);
             
-            // For network errors, retry a few times
-            if (isNetworkError(error) && attempts < maxAttempts) {
-                setTimeout(checkJobStatus, 5000); // Retry in 5 seconds for network errors
-            } else {
+            // Only network errors are worth retrying
+            if (!isNetworkError(error)) {
                 // Update status to show error
-                updatePDFStatus('failed', jobId);
+                updatePDFStatus(isExpiredError(error) ? 'expired' : 'failed', jobId);
                 clearJobFromStorage();
+                return;
             }
         }
+        
+        if (!stopped) {
+            delay = Math.min(delay * 1.5, maxDelay);
+            timeoutId = setTimeout(checkJobStatus, delay);
+        }
     };
     
     // Start checking after a short delay
-    setTimeout(checkJobStatus, 2000);
+    timeoutId = setTimeout(checkJobStatus, 2000);
 }
 
 /**
@@ -259,12 +468,49 @@ function setupClosePDFStatusButton() {
             // Hide the status section
             statusSection.style.display = 'none';
             
+            // Stop following the job
+            stopJobMonitoring();
+            
             // Clear job from localStorage
             clearJobFromStorage();
         });
     }
 }
 
+/**
+ * Setup cancel button for the job shown in the PDF status section
+ */
+function setupCancelPDFJobButton() {
+    const cancelButton = document.getElementById('cancelPdfJob');
+    const jobIdElement = document.getElementById('pdfJobId');
+    
+    if (cancelButton && jobIdElement) {
+        cancelButton.addEventListener('click', async () => {
+            const jobId = jobIdElement.textContent;
+            
+            if (!jobId || !confirm('Are you sure you want to cancel this PDF job?')) {
+                return;
+            }
+            
+            try {
+                cancelButton.disabled = true;
+                await cancelJob(jobId);
+                
+                // Show the final status and forget the job
+                stopJobMonitoring();
+                updatePDFStatus('cancelled', jobId);
+                clearJobFromStorage();
+                showMessage('info', 'PDF job cancelled');
+            } catch (error) {
+                console.error('PDF job cancellation failed:', error);
+                showMessage('error', `PDF job cancellation failed: ${getErrorMessage(error)}`);
+            } finally {
+                cancelButton.disabled = false;
+            }
+        });
+    }
+}
+
 /**
  * Clear job from localStorage for current page
  */
@@ -299,7 +545,7 @@ async function restoreLastJobFromStorage() {
         showPDFStatus(lastJobId);
         
         // Update the status immediately
-        updatePDFStatus(statusData.status, lastJobId);
+        updatePDFStatus(statusData.status, lastJobId, statusData.format);
         
         // Only start monitoring if the job is still pending or processing
         if (statusData.status === 'pending' || statusData.status === 'processing') {
@@ -312,24 +558,115 @@ async function restoreLastJobFromStorage() {
             clearJobFromStorage();
         }
     } catch (error) {
-        console.warn('Failed to restore last job:', error);
+        if (isExpiredError(error)) {
+            // Let the user know the PDF was removed by the retention policy
+            showPDFStatus(lastJobId);
+            updatePDFStatus('expired', lastJobId);
+        } else {
+            console.warn('Failed to restore last job:', error);
+        }
         // If we can't check the status, clear the stored job
         clearJobFromStorage();
     }
 }
 
+/**
+ * Fill the layout selector with the available layouts, preselecting the server default
+ * Changing the layout refreshes the preview
+ */
+async function setupLayoutSelect() {
+    const layoutSelect = document.getElementById('pdfLayoutSelect');
+    if (!layoutSelect) return;
+    
+    layoutSelect.addEventListener('change', () => updateSpiralPreview(previewStrings));
+    
+    try {
+        const { defaultLayout, layouts } = await getLayouts();
+        
+        layoutSelect.innerHTML = '';
+        layouts.forEach(layout => {
+            const option = document.createElement('option');
+            option.value = layout.id;
+            option.textContent = layout.name;
+            option.title = layout.description;
+            option.selected = layout.id === defaultLayout;
+            layoutSelect.appendChild(option);
+        });
+    } catch (error) {
+        // Keep the server default layout if the list can't be loaded
+        console.warn('Failed to load spiral layouts:', getErrorMessage(error));
+        layoutSelect.style.display = 'none';
+    }
+}
+
+/**
+ * Fill the theme selector with the built-in themes, preselecting the server default
+ * Changing the theme refreshes the preview
+ */
+async function setupThemeSelect() {
+    const themeSelect = document.getElementById('pdfThemeSelect');
+    if (!themeSelect) return;
+    
+    themeSelect.addEventListener('change', () => updateSpiralPreview(previewStrings));
+    
+    try {
+        const { defaultTheme, themes } = await getThemes();
+        
+        themeSelect.innerHTML = '';
+        themes.forEach(({ id, theme }) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = id.charAt(0).toUpperCase() + id.slice(1);
+            option.title = `Background ${theme.background}, words ${theme.words.color}`;
+            option.selected = id === defaultTheme;
+            themeSelect.appendChild(option);
+        });
+    } catch (error) {
+        // Keep the server default theme if the list can't be loaded
+        console.warn('Failed to load spiral themes:', getErrorMessage(error));
+        themeSelect.style.display = 'none';
+    }
+}
+
+/**
+ * Fill the font selector with the available fonts, preselecting the server default
+ */
+async function setupFontSelect() {
+    const fontSelect = document.getElementById('pdfFontSelect');
+    if (!fontSelect) return;
+    
+    try {
+        const { defaultFont, fonts } = await getFonts();
+        
+        fontSelect.innerHTML = '';
+        fonts.forEach(font => {
+            const option = document.createElement('option');
+            option.value = font.id;
+            option.textContent = font.builtin ? `${font.name} (Latin only)` : font.name;
+            option.selected = font.id === defaultFont;
+            fontSelect.appendChild(option);
+        });
+    } catch (error) {
+        // Keep the server default font if the list can't be loaded
+        console.warn('Failed to load PDF fonts:', getErrorMessage(error));
+        fontSelect.style.display = 'none';
+    }
+}
+
 /**
  * Setup PDF button functionality
  * @param {HTMLElement} button - The PDF generation button
  * @param {Function} getNormalizedStrings - Function that returns the current normalized strings
  * @param {Function} showMessage - Function to show messages to user
+ * @param {Function} [getAlgorithmOptions] - Function that returns the current options of the page algorithm
  */
-export function setupPDFButton(button, getNormalizedStrings, showMessage) {
+export function setupPDFButton(button, getNormalizedStrings, showMessage, getAlgorithmOptions = null) {
     if (!button) return;
     
     button.addEventListener('click', async () => {
         const normalizedStrings = getNormalizedStrings();
-        await generateSpiralPDF(normalizedStrings, button, showMessage);
+        const algorithmOptions = getAlgorithmOptions ? getAlgorithmOptions() : undefined;
+        await generateSpiralPDF(normalizedStrings, button, showMessage, algorithmOptions);
     });
 }
 
@@ -0,0 +1,254 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const archiver = require('archiver');
+const PDFBatch = require('../models/PDFBatch');
+const PDFJob = require('../models/PDFJob');
+const jobEvents = require('../services/jobEvents');
+const { JobRequestError, parseJobRequest } = require('../services/jobRequest');
+const { getStorage } = require('../services/storage');
+
+const router = express.Router();
+const storage = getStorage();
+
+// Maximum number of jobs accepted in a single batch
+const MAX_BATCH_SIZE = 100;
+
+/**
+ * Build the 410 Gone body for batches whose files were removed by the retention policy
+ * @param {Object} batch - PDFBatch document
+ * @returns {Object} Response body
+ */
+function expiredBatchResponse(batch) {
+  return {
+    error: 'Batch has expired and its PDFs were deleted',
+    batchId: batch.batchId,
+    status: 'expired',
+    expiredAt: batch.expiredAt
+  };
+}
+
+/**
+ * Aggregate the status of the jobs in a batch
+ * @param {Object} batch - PDFBatch document
+ * @returns {Promise<Object>} Batch progress with per-status counts and child jobs
+ */
+async function getBatchProgress(batch) {
+  const jobs = await PDFJob.find({ batchId: batch.batchId })
+    .select('jobId status filePath');
+  
+  // Keep the submission order of the batch
+  const jobsById = new Map(jobs.map(job => [job.jobId, job]));
+  const orderedJobs = batch.jobIds.map(jobId => jobsById.get(jobId)).filter(Boolean);
+  
+  const counts = {};
+  orderedJobs.forEach(job => {
+    counts[job.status] = (counts[job.status] || 0) + 1;
+  });
+  
+  const finished = orderedJobs.filter(job => PDFJob.TERMINAL_STATUSES.includes(job.status)).length;
+  const completed = counts.completed || 0;
+  const complete = finished === batch.total;
+  
+  let status = 'processing';
+  if (complete) {
+    if (completed === batch.total) {
+      status = 'completed';
+    } else if (completed > 0) {
+      status = 'partial';
+    } else {
+      // Nothing left to download, because the jobs failed or their files expired
+      status = counts.expired ? 'expired' : 'failed';
+    }
+  } else if (finished === 0 && !counts.processing) {
+    status = 'pending';
+  }
+  
+  return {
+    batchId: batch.batchId,
+    status,
+    complete,
+    total: batch.total,
+    finished,
+    progress: Math.round((finished / batch.total) * 100),
+    counts,
+    jobs: orderedJobs,
+    createdAt: batch.createdAt
+  };
+}
+
+// POST /api/pdf/batch - Create a batch of PDF generation jobs
+router.post('/', async (req, res) => {
+  try {
+    const { contents, ...options } = req.body;
+    
+    // Validate the list of contents
+    if (!Array.isArray(contents) || contents.length === 0) {
+      return res.status(400).json({
+        error: 'Contents is required and must be a non-empty array'
+      });
+    }
+    
+    if (contents.length > MAX_BATCH_SIZE) {
+      return res.status(400).json({
+        error: `A batch can contain at most ${MAX_BATCH_SIZE} jobs`
+      });
+    }
+    
+    // Validate every job with the same rules as single submissions
+    // Each item is comma-separated content or a list of words, raw inputs when an algorithm is set
+    const batchId = uuidv4();
+    const listField = options.algorithm ? 'inputs' : 'words';
+    const jobs = contents.map((content, index) => {
+      try {
+        return {
+          jobId: uuidv4(),
+          status: 'pending',
+          batchId,
+          ...parseJobRequest(Array.isArray(content) ? { ...options, [listField]: content } : { ...options, content })
+        };
+      } catch (error) {
+        if (error instanceof JobRequestError) {
+          error.message = `Item ${index}: ${error.message}`;
+        }
+        throw error;
+      }
+    });
+    
+    // Save the batch record, then its child jobs
+    await PDFBatch.create({
+      batchId,
+      jobIds: jobs.map(job => job.jobId),
+      total: jobs.length
+    });
+    await PDFJob.insertMany(jobs);
+    
+    // Notify the queue processor so the jobs are dispatched immediately
+    jobEvents.emit('jobCreated', batchId);
+    
+    // Return batchId and child jobIds to client
+    res.status(201).json({
+      batchId,
+      jobIds: jobs.map(job => job.jobId)
+    });
+    
+  } catch (error) {
+    if (error instanceof JobRequestError) {
+      return res.status(error.status).json({
+        error: error.message
+      });
+    }
+    
+    console.error('Error creating PDF batch:', error);
+    res.status(500).json({
+      error: 'Internal server error while creating PDF batch'
+    });
+  }
+});
+
+// GET /api/pdf/batch/:batchId - Get aggregate batch progress
+router.get('/:batchId', async (req, res) => {
+  try {
+    const batch = await PDFBatch.findOne({ batchId: req.params.batchId.trim() });
+    
+    // Handle batch not found cases
+    if (!batch) {
+      return res.status(404).json({
+        error: 'Batch not found'
+      });
+    }
+    
+    // Handle batches removed by the retention policy
+    if (batch.expiredAt) {
+      return res.status(410).json(expiredBatchResponse(batch));
+    }
+    
+    const progress = await getBatchProgress(batch);
+    
+    res.json({
+      ...progress,
+      jobs: progress.jobs.map(job => ({
+        jobId: job.jobId,
+        status: job.status
+      }))
+    });
+    
+  } catch (error) {
+    console.error('Error retrieving batch status:', error);
+    res.status(500).json({
+      error: 'Internal server error while retrieving batch status'
+    });
+  }
+});
+
+// GET /api/pdf/batch/:batchId/download - Download all completed PDFs of a batch as a ZIP archive
+router.get('/:batchId/download', async (req, res) => {
+  try {
+    const batch = await PDFBatch.findOne({ batchId: req.params.batchId.trim() });
+    
+    // Handle batch not found cases
+    if (!batch) {
+      return res.status(404).json({
+        error: 'Batch not found'
+      });
+    }
+    
+    // Handle batches removed by the retention policy
+    if (batch.expiredAt) {
+      return res.status(410).json(expiredBatchResponse(batch));
+    }
+    
+    const progress = await getBatchProgress(batch);
+    
+    // Check if every job of the batch has finished
+    if (!progress.complete) {
+      return res.status(400).json({
+        error: `Batch is not ready for download. Progress: ${progress.finished}/${progress.total}`
+      });
+    }
+    
+    const completedJobs = progress.jobs.filter(job => job.status === 'completed' && job.filePath);
+    
+    // Files already deleted by the retention sweep, before it got to the batch
+    if (completedJobs.length === 0 && progress.counts.expired) {
+      return res.status(410).json(expiredBatchResponse(batch));
+    }
+    
+    if (completedJobs.length === 0) {
+      return res.status(404).json({
+        error: 'No PDF files were generated for this batch'
+      });
+    }
+    
+    // Set appropriate headers for ZIP download
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="batch_${batch.batchId}.zip"`);
+    
+    const archive = archiver('zip');
+    
+    archive.on('error', (err) => {
+      console.error('Error creating batch archive:', err);
+      res.destroy(err);
+    });
+    
+    archive.pipe(res);
+    
+    // Number files in submission order so they are easy to match with the inputs
+    for (const job of completedJobs) {
+      const index = batch.jobIds.indexOf(job.jobId) + 1;
+      const fileStream = await storage.createReadStream(job.filePath);
+      archive.append(fileStream, { name: `${String(index).padStart(3, '0')}_${job.filePath}` });
+    }
+    
+    await archive.finalize();
+    
+  } catch (error) {
+    console.error('Error downloading PDF batch:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        error: 'Internal server error while downloading PDF batch'
+      });
+    }
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,61 @@
+const express = require('express');
+const normalization = require('../services/normalization');
+
+const router = express.Router();
+
+// GET /api/normalize - List the normalization algorithms
+router.get('/', (req, res) => {
+  res.json({
+    algorithms: normalization.listAlgorithms()
+  });
+});
+
+// POST /api/normalize/:algorithm - Normalize one input, or a list of inputs in bulk, with optional algorithm options
+// With explain: true every result also holds the trace of its peel steps
+router.post('/:algorithm', (req, res) => {
+  const { algorithm } = req.params;
+  const { input, inputs, options, explain } = req.body || {};
+  
+  if (!normalization.getAlgorithm(algorithm)) {
+    return res.status(404).json({
+      error: `Unknown algorithm "${algorithm}", see GET /api/normalize for the available algorithms`
+    });
+  }
+  
+  const single = input !== undefined && input !== null;
+  const bulk = inputs !== undefined && inputs !== null;
+  if (single === bulk) {
+    return res.status(400).json({
+      error: 'Send either input, a string, or inputs, a list of strings'
+    });
+  }
+  
+  if (single && (typeof input !== 'string' || input.length > normalization.MAX_INPUT_LENGTH)) {
+    return res.status(400).json({
+      error: `Input must be a string of at most ${normalization.MAX_INPUT_LENGTH} characters`
+    });
+  }
+  
+  if (explain !== undefined && explain !== null && typeof explain !== 'boolean') {
+    return res.status(400).json({
+      error: 'Explain must be a boolean'
+    });
+  }
+  
+  let results;
+  try {
+    results = normalization.normalizeInputs(algorithm, single ? [input] : inputs, options, explain === true);
+  } catch (error) {
+    return res.status(400).json({
+      error: error.message
+    });
+  }
+  
+  if (single) {
+    return res.json({ algorithm, ...results[0] });
+  }
+  
+  res.json({ algorithm, results });
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,28 @@
+const express = require('express');
+const path = require('path');
+const normalizers = require('../shared/normalizers');
+
+const router = express.Router();
+const publicDirectory = path.join(__dirname, '..', 'public');
+
+// GET /brackets - Brackets normalization page
+router.get('/brackets', (req, res) => {
+  res.sendFile(path.join(publicDirectory, 'brackets.html'));
+});
+
+// GET /pairs-en.html - The English pairs page used to be a static file, keep its links and bookmarks working
+router.get('/pairs-en.html', (req, res) => {
+  const queryIndex = req.originalUrl.indexOf('?');
+  res.redirect(301, queryIndex === -1 ? '/pairs-en' : `/pairs-en${req.originalUrl.slice(queryIndex)}`);
+});
+
+// GET /pairs-:map - One pairs page per pair map, e.g. /pairs-en or /pairs-it
+router.get('/pairs-:map', (req, res, next) => {
+  if (!normalizers.getPairMap(req.params.map)) {
+    return next();
+  }
+  
+  res.sendFile(path.join(publicDirectory, 'pairs.html'));
+});
+
+module.exports = router;
\ No newline at end of file
@@ -1,23 +1,47 @@
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
-const path = require('path');
-const fs = require('fs');
 const PDFJob = require('../models/PDFJob');
+const fontRegistry = require('../services/fontRegistry');
+const jobEvents = require('../services/jobEvents');
+const layouts = require('../services/layouts');
+const { getOutputFormat } = require('../services/outputFormats');
+const { JobRequestError, parseJobRequest, parseSpiralInput } = require('../services/jobRequest');
+const SpiralGenerator = require('../services/spiralGenerator');
+const PreviewWorkerService = require('../services/previewWorker');
+const { getStorage } = require('../services/storage');
+const themes = require('../services/themes');
 
 const router = express.Router();
+const storage = getStorage();
+const previewWorker = new PreviewWorkerService();
+
+/**
+ * Build the 410 Gone body for jobs removed by the retention policy
+ * @param {Object} pdfJob - Expired PDFJob document
+ * @returns {Object} Response body
+ */
+function expiredJobResponse(pdfJob) {
+  return {
+    error: 'Job has expired and its PDF was deleted',
+    jobId: pdfJob.jobId,
+    status: pdfJob.status,
+    expiredAt: pdfJob.expiredAt
+  };
+}
+
+// Server-Sent Events timings
+const SSE_RETRY_DELAY = 3000; // 3 seconds
+const SSE_KEEP_ALIVE_INTERVAL = 15000; // 15 seconds
+
+// Previews are answered while the client waits, larger spirals go through the job queue
+const PREVIEW_MAX_LENGTH = 10000; // characters
+const PREVIEW_MAX_WORDS = 500;
 
 // POST /api/pdf/generate - Create new PDF generation job
 router.post('/generate', async (req, res) => {
   try {
-    // Validate input content
-    const { content } = req.body;
-    
-    // Check if content is provided and is a non-empty string
-    if (!content || typeof content !== 'string' || content.trim().length === 0) {
-      return res.status(400).json({
-        error: 'Content is required and must be a non-empty string'
-      });
-    }
+    // Validate input content and job options
+    const jobFields = parseJobRequest(req.body);
     
     // Generate unique job ID
     const jobId = uuidv4();
@@ -26,18 +50,27 @@ router.post('/generate', async (req, res) => {
     const pdfJob = new PDFJob({
       jobId,
       status: 'pending',
-      content: content.trim()
+      ...jobFields
     });
     
     // Save job to database
     await pdfJob.save();
     
+    // Notify the queue processor so the job is dispatched immediately
+    jobEvents.emit('jobCreated', jobId);
+    
     // Return jobId to client
     res.status(201).json({
       jobId: jobId
     });
     
   } catch (error) {
+    if (error instanceof JobRequestError) {
+      return res.status(error.status).json({
+        error: error.message
+      });
+    }
+    
     console.error('Error creating PDF job:', error);
     
     // Handle duplicate jobId error (very unlikely with UUID but good to handle)
@@ -53,6 +86,100 @@ router.post('/generate', async (req, res) => {
   }
 });
 
+// POST /api/pdf/preview - Generate the spiral synchronously, without creating a job
+router.post('/preview', async (req, res) => {
+  const { layout: layoutId, spiralOptions, theme: themeInput } = req.body || {};
+  
+  let content, words;
+  try {
+    ({ content, words } = parseSpiralInput(req.body));
+  } catch (error) {
+    return res.status(error.status || 400).json({
+      error: error.message
+    });
+  }
+  
+  // Larger spirals must go through the job queue
+  const wordCount = SpiralGenerator.parseWords(words || content).length;
+  if (content.length > PREVIEW_MAX_LENGTH || wordCount > PREVIEW_MAX_WORDS) {
+    return res.status(413).json({
+      error: `Preview is limited to ${PREVIEW_MAX_WORDS} words and ${PREVIEW_MAX_LENGTH} characters, generate a file instead`,
+      maxWords: PREVIEW_MAX_WORDS,
+      maxLength: PREVIEW_MAX_LENGTH
+    });
+  }
+  
+  if (layoutId !== undefined && layoutId !== null && (typeof layoutId !== 'string' || !layouts.getLayout(layoutId))) {
+    return res.status(400).json({
+      error: `Unknown layout "${layoutId}", see GET /api/pdf/layouts for the available layouts`
+    });
+  }
+  
+  let theme;
+  try {
+    theme = themes.resolveTheme(themeInput);
+  } catch (error) {
+    return res.status(400).json({
+      error: `Invalid theme: ${error.message}`
+    });
+  }
+  
+  let options;
+  try {
+    options = SpiralGenerator.normalizeOptions(spiralOptions === null ? undefined : spiralOptions);
+  } catch (error) {
+    return res.status(400).json({
+      error: `Invalid spiral options: ${error.message}`
+    });
+  }
+  
+  // The layout is generated and serialized in a worker thread so it never blocks other clients
+  try {
+    res.type('json').send(await previewWorker.generatePreviewAsync(words || content, {
+      layout: layoutId,
+      spiralOptions: theme.end.glyph ? { ...options, endGlyph: theme.end.glyph } : options,
+      theme,
+      themed: theme.name !== themes.DEFAULT_THEME,
+      fallbackFamilies: fontRegistry.getFallbackFonts().map(fallback => fallback.family)
+    }));
+  } catch (error) {
+    if (error instanceof PreviewWorkerService.PreviewError && error.status !== 500) {
+      return res.status(error.status).json({
+        error: error.message
+      });
+    }
+    
+    console.error('Error generating preview:', error);
+    res.status(500).json({
+      error: 'Internal server error while generating preview'
+    });
+  }
+});
+
+// GET /api/pdf/fonts - List the fonts a job can be rendered with
+router.get('/fonts', (req, res) => {
+  res.json({
+    defaultFont: fontRegistry.getDefaultFont(),
+    fonts: fontRegistry.listFonts()
+  });
+});
+
+// GET /api/pdf/themes - List the built-in themes a job can be rendered with
+router.get('/themes', (req, res) => {
+  res.json({
+    defaultTheme: themes.DEFAULT_THEME,
+    themes: themes.listThemes()
+  });
+});
+
+// GET /api/pdf/layouts - List the layout algorithms a job can use
+router.get('/layouts', (req, res) => {
+  res.json({
+    defaultLayout: layouts.DEFAULT_LAYOUT,
+    layouts: layouts.listLayouts()
+  });
+});
+
 // GET /api/pdf/status/:jobId - Get job status and metadata
 router.get('/status/:jobId', async (req, res) => {
   try {
@@ -75,26 +202,13 @@ router.get('/status/:jobId', async (req, res) => {
       });
     }
     
-    // Return current status and metadata
-    const response = {
-      jobId: pdfJob.jobId,
-      status: pdfJob.status,
-      ready: pdfJob.status === 'completed',
-      createdAt: pdfJob.createdAt,
-      updatedAt: pdfJob.updatedAt
-    };
-    
-    // Include filePath if job is completed
-    if (pdfJob.status === 'completed' && pdfJob.filePath) {
-      response.filePath = pdfJob.filePath;
-    }
-    
-    // Include error message if job failed
-    if (pdfJob.status === 'failed' && pdfJob.errorMessage) {
-      response.errorMessage = pdfJob.errorMessage;
+    // Handle jobs removed by the retention policy
+    if (pdfJob.status === 'expired') {
+      return res.status(410).json(expiredJobResponse(pdfJob));
     }
     
-    res.json(response);
+    // Return current status and metadata
+    res.json(pdfJob.toStatusResponse());
     
   } catch (error) {
     console.error('Error retrieving job status:', error);
@@ -104,7 +218,110 @@ router.get('/status/:jobId', async (req, res) => {
   }
 });
 
-// GET /api/pdf/download/:jobId - Download completed PDF file
+// GET /api/pdf/events/:jobId - Stream job status transitions with Server-Sent Events
+router.get('/events/:jobId', async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    
+    // Validate jobId parameter
+    if (!jobId || typeof jobId !== 'string' || jobId.trim().length === 0) {
+      return res.status(400).json({
+        error: 'Job ID is required and must be a non-empty string'
+      });
+    }
+    
+    // Query database for job by jobId
+    const pdfJob = await PDFJob.findOne({ jobId: jobId.trim() });
+    
+    // Handle job not found cases
+    if (!pdfJob) {
+      return res.status(404).json({
+        error: 'Job not found'
+      });
+    }
+    
+    // Handle jobs removed by the retention policy
+    if (pdfJob.status === 'expired') {
+      return res.status(410).json(expiredJobResponse(pdfJob));
+    }
+    
+    // Open the event stream
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    
+    // Tell the browser how long to wait before reconnecting
+    res.write(`retry: ${SSE_RETRY_DELAY}\n\n`);
+    
+    let lastStatus = null;
+    let keepAliveId = null;
+    
+    const cleanup = () => {
+      clearInterval(keepAliveId);
+      jobEvents.off('jobStatus', onStatus);
+    };
+    
+    // Send a status event, and close the stream once the job is finished
+    const sendStatus = (statusResponse) => {
+      if (res.writableEnded) {
+        return;
+      }
+      
+      lastStatus = statusResponse.status;
+      res.write(`event: status\ndata: ${JSON.stringify(statusResponse)}\n\n`);
+      
+      if (PDFJob.TERMINAL_STATUSES.includes(statusResponse.status)) {
+        cleanup();
+        res.end();
+      }
+    };
+    
+    // Transitions made by this instance
+    const onStatus = (statusResponse) => {
+      if (statusResponse.jobId === pdfJob.jobId) {
+        sendStatus(statusResponse);
+      }
+    };
+    
+    jobEvents.on('jobStatus', onStatus);
+    
+    // Keep the connection alive and catch up with transitions made by other instances
+    keepAliveId = setInterval(async () => {
+      try {
+        if (res.writableEnded) {
+          return;
+        }
+        
+        res.write(': keep-alive\n\n');
+        
+        const currentJob = await PDFJob.findOne({ jobId: pdfJob.jobId });
+        if (currentJob && currentJob.status !== lastStatus) {
+          sendStatus(currentJob.toStatusResponse());
+        }
+      } catch (error) {
+        console.error('Error refreshing job status stream:', error);
+      }
+    }, SSE_KEEP_ALIVE_INTERVAL);
+    
+    req.on('close', cleanup);
+    
+    // Send the current status right away
+    sendStatus(pdfJob.toStatusResponse());
+    
+  } catch (error) {
+    console.error('Error streaming job status:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        error: 'Internal server error while streaming job status'
+      });
+    }
+  }
+});
+
+// GET /api/pdf/download/:jobId - Download the completed file (PDF, SVG, PNG or text)
 router.get('/download/:jobId', async (req, res) => {
   try {
     const { jobId } = req.params;
@@ -126,6 +343,11 @@ router.get('/download/:jobId', async (req, res) => {
       });
     }
     
+    // Handle jobs removed by the retention policy
+    if (pdfJob.status === 'expired') {
+      return res.status(410).json(expiredJobResponse(pdfJob));
+    }
+    
     // Check if job is completed
     if (pdfJob.status !== 'completed') {
       return res.status(400).json({
@@ -140,31 +362,32 @@ router.get('/download/:jobId', async (req, res) => {
       });
     }
     
-    // Construct full file path
-    const fullFilePath = path.join(__dirname, '..', 'pdfs', pdfJob.filePath);
-    
-    // Verify file exists on disk
-    if (!fs.existsSync(fullFilePath)) {
+    // Verify file exists in storage
+    if (!(await storage.exists(pdfJob.filePath))) {
       return res.status(404).json({
         error: 'PDF file not found on server'
       });
     }
     
-    // Set appropriate headers for PDF download
-    res.setHeader('Content-Type', 'application/pdf');
+    // Open the PDF file from the configured storage
+    const fileStream = await storage.createReadStream(pdfJob.filePath);
+    
+    // Set the content type of the job output format
+    res.setHeader('Content-Type', getOutputFormat(pdfJob.format || 'pdf').contentType);
     res.setHeader('Content-Disposition', `attachment; filename="${pdfJob.filePath}"`);
     
     // Serve the PDF file
-    res.sendFile(fullFilePath, (err) => {
-      if (err) {
-        console.error('Error serving PDF file:', err);
-        if (!res.headersSent) {
-          res.status(500).json({
-            error: 'Error serving PDF file'
-          });
-        }
+    fileStream.on('error', (err) => {
+      console.error('Error serving PDF file:', err);
+      if (!res.headersSent) {
+        res.status(500).json({
+          error: 'Error serving PDF file'
+        });
+      } else {
+        res.destroy(err);
       }
     });
+    fileStream.pipe(res);
     
   } catch (error) {
     console.error('Error downloading PDF:', error);
@@ -174,4 +397,58 @@ router.get('/download/:jobId', async (req, res) => {
   }
 });
 
+// POST /api/pdf/cancel/:jobId - Cancel a pending or running PDF job
+router.post('/cancel/:jobId', async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    
+    // Validate jobId parameter
+    if (!jobId || typeof jobId !== 'string' || jobId.trim().length === 0) {
+      return res.status(400).json({
+        error: 'Job ID is required and must be a non-empty string'
+      });
+    }
+    
+    // Atomically mark the job as cancelled if it has not finished yet
+    const previousJob = await PDFJob.cancelJob(jobId.trim());
+    
+    if (!previousJob) {
+      const pdfJob = await PDFJob.findOne({ jobId: jobId.trim() });
+      
+      // Handle job not found cases
+      if (!pdfJob) {
+        return res.status(404).json({
+          error: 'Job not found'
+        });
+      }
+      
+      return res.status(409).json({
+        error: `Job cannot be cancelled. Current status: ${pdfJob.status}`
+      });
+    }
+    
+    // Running jobs also need their worker terminated
+    if (previousJob.status === 'processing') {
+      jobEvents.emit('jobCancelled', previousJob.jobId);
+    }
+    
+    // Notify status subscribers of the transition
+    const cancelledJob = await PDFJob.findOne({ jobId: previousJob.jobId });
+    if (cancelledJob) {
+      jobEvents.emit('jobStatus', cancelledJob.toStatusResponse());
+    }
+    
+    res.json({
+      jobId: previousJob.jobId,
+      status: 'cancelled'
+    });
+    
+  } catch (error) {
+    console.error('Error cancelling PDF job:', error);
+    res.status(500).json({
+      error: 'Internal server error while cancelling PDF job'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
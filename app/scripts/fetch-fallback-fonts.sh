@@ -0,0 +1,29 @@
+#!/bin/sh
+# Fetch the Noto fallback fonts drawing CJK, Hangul and emoji characters into a fonts directory
+# Usage: scripts/fetch-fallback-fonts.sh [directory], the directory defaults to FONTS_DIR
+# The fonts come from the npm registry (@expo-google-fonts packages, SIL Open Font License 1.1)
+set -e
+
+target="${1:-$FONTS_DIR}"
+if [ -z "$target" ]; then
+  echo "Usage: $0 <directory>, or set FONTS_DIR" >&2
+  exit 1
+fi
+
+mkdir -p "$target"
+work=$(mktemp -d)
+trap 'rm -rf "$work"' EXIT
+
+# fetch <package> <file in the package> <font file name expected by services/fontRegistry.js>
+fetch() {
+  tarball=$(cd "$work" && npm pack --silent "$1")
+  tar -xzf "$work/$tarball" -C "$work" "package/$2" package/LICENSE_FONT
+  mv "$work/package/$2" "$target/$3"
+  mv "$work/package/LICENSE_FONT" "$target/LICENSE-${3%.ttf}.txt"
+  rm -rf "$work/package" "$work/$tarball"
+  echo "Fetched $3"
+}
+
+fetch @expo-google-fonts/noto-sans-sc@0.4.3 400Regular/NotoSansSC_400Regular.ttf NotoSansSC-Regular.ttf
+fetch @expo-google-fonts/noto-sans-kr@0.4.3 400Regular/NotoSansKR_400Regular.ttf NotoSansKR-Regular.ttf
+fetch @expo-google-fonts/noto-emoji@0.4.7 400Regular/NotoEmoji_400Regular.ttf NotoEmoji-Regular.ttf
\ No newline at end of file
@@ -1,8 +1,8 @@
 const express = require('express');
 const cors = require('cors');
-const path = require('path');
 const connectDB = require('./config/database');
 const QueueProcessor = require('./services/queueProcessor');
+const RetentionService = require('./services/retentionService');
 
 // Connect to MongoDB
 connectDB();
@@ -10,14 +10,24 @@ connectDB();
 // Initialize and start queue processor
 const queueProcessor = new QueueProcessor();
 
+// Initialize retention policy for old jobs and their PDF files
+const retentionService = new RetentionService({ pdfWorker: queueProcessor.pdfWorker });
+
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// JSON bodies fit the largest normalization request: MAX_TOTAL_LENGTH characters of up to 3 UTF-8 bytes each,
+// plus the quotes and commas around MAX_INPUTS strings
+const JSON_BODY_LIMIT = '4mb';
+
 // Middleware
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: JSON_BODY_LIMIT }));
 app.use(express.static('public'));
 
+// Normalizers shared with the server, loaded by the pages
+app.use('/shared', express.static('shared'));
+
 // Basic health check endpoint
 app.get('/health', (req, res) => {
   res.json({ status: 'OK', timestamp: new Date().toISOString() });
@@ -31,7 +41,7 @@ app.get('/api/debug/jobs', async (req, res) => {
     // Get all jobs sorted by creation date (newest first)
     const jobs = await PDFJob.find({})
       .sort({ createdAt: -1 })
-      .select('jobId status content filePath errorMessage createdAt updatedAt')
+      .select('jobId status content words filePath checksum errorMessage claimedBy leaseExpiresAt attempts nextRetryAt errorHistory callbackUrl callbackDeliveredAt callbackAttempts callbackNextAttemptAt callbackDeliveries createdAt updatedAt')
       .limit(50); // Limit to last 50 jobs for performance
     
     // Get summary statistics
@@ -48,7 +58,10 @@ app.get('/api/debug/jobs', async (req, res) => {
       pending: 0,
       processing: 0,
       completed: 0,
-      failed: 0
+      failed: 0,
+      'dead-letter': 0,
+      cancelled: 0,
+      expired: 0
     };
     
     stats.forEach(stat => {
@@ -64,10 +77,21 @@ app.get('/api/debug/jobs', async (req, res) => {
         status: job.status,
         contentPreview: job.content ? job.content.substring(0, 100) + (job.content.length > 100 ? '...' : '') : null,
         filePath: job.filePath,
+        checksum: job.checksum,
         errorMessage: job.errorMessage,
+        claimedBy: job.claimedBy,
+        leaseExpiresAt: job.leaseExpiresAt,
+        attempts: job.attempts,
+        nextRetryAt: job.nextRetryAt,
+        errorHistory: job.errorHistory,
+        callbackUrl: job.callbackUrl,
+        callbackDeliveredAt: job.callbackDeliveredAt,
+        callbackAttempts: job.callbackAttempts,
+        callbackNextAttemptAt: job.callbackNextAttemptAt,
+        callbackDeliveries: job.callbackDeliveries,
         createdAt: job.createdAt,
         updatedAt: job.updatedAt,
-        processingTime: job.status === 'completed' || job.status === 'failed' 
+        processingTime: PDFJob.TERMINAL_STATUSES.includes(job.status)
           ? Math.round((new Date(job.updatedAt) - new Date(job.createdAt)) / 1000) + 's'
           : null
       }))
@@ -83,23 +107,33 @@ app.get('/api/debug/jobs', async (req, res) => {
 
 // Import routes
 const pdfRoutes = require('./routes/pdf');
+const batchRoutes = require('./routes/batch');
+const normalizeRoutes = require('./routes/normalize');
+const pageRoutes = require('./routes/pages');
 
 // API routes
+app.use('/api/pdf/batch', batchRoutes);
 app.use('/api/pdf', pdfRoutes);
+app.use('/api/normalize', normalizeRoutes);
 
 // Additional page routes
-app.get('/brackets', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'brackets.html'));
-});
-
-app.get('/pairs-en', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'pairs-en.html'));
-});
+app.use('/', pageRoutes);
 
 // Error handling middleware
+// Client errors raised by middleware, like a body too large or malformed, keep their status
 app.use((err, req, res, next) => {
+  const status = err.status || err.statusCode || 500;
+  
+  if (status === 413) {
+    return res.status(413).json({ error: `Request body is larger than the ${JSON_BODY_LIMIT} limit` });
+  }
+  
+  if (status < 500 && err.expose) {
+    return res.status(status).json({ error: err.message });
+  }
+  
   console.error(err.stack);
-  res.status(500).json({ error: 'Something went wrong!' });
+  res.status(status).json({ error: 'Something went wrong!' });
 });
 
 // 404 handler
@@ -111,23 +145,28 @@ app.use('*', (req, res) => {
 app.listen(PORT, async () => {
   console.log(`Server running on port ${PORT}`);
   
-  // Resume any jobs that were in processing state during restart
-  await queueProcessor.resumeProcessingJobs();
+  // Requeue jobs whose owner died without releasing its lease
+  await queueProcessor.reapExpiredLeases();
   
   // Start the queue processor
   queueProcessor.start();
+  
+  // Start expiring old jobs
+  retentionService.start();
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully...');
   queueProcessor.stop();
+  retentionService.stop();
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
   console.log('SIGINT received, shutting down gracefully...');
   queueProcessor.stop();
+  retentionService.stop();
   process.exit(0);
 });
 
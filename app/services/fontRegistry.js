@@ -0,0 +1,212 @@
+/**
+ * Font Registry - Monospace fonts that PDF jobs can be rendered with
+ * Bundled TTF fonts are embedded in the PDF, so they cover text beyond Latin-1,
+ * and fallback fonts draw the characters the job font lacks
+ */
+
+const fs = require('fs');
+const path = require('path');
+const fontkit = require('fontkit');
+const fontsConfig = require('../config/fonts');
+
+// Built-in PDF font, kept for compatibility: Latin-1 only
+const BUILTIN_FONTS = {
+  courier: { name: 'Courier', family: 'Courier', weight: 'normal', source: 'Courier', builtin: true }
+};
+
+// Fonts shipped in app/fonts
+const BUNDLED_FONTS = {
+  'dejavu-sans-mono': { name: 'DejaVu Sans Mono', family: 'DejaVu Sans Mono', weight: 'normal', file: 'DejaVuSansMono.ttf' },
+  'dejavu-sans-mono-bold': { name: 'DejaVu Sans Mono Bold', family: 'DejaVu Sans Mono', weight: 'bold', file: 'DejaVuSansMono-Bold.ttf' }
+};
+
+// Fonts tried in order for each character missing from the job font. The bundled DejaVu Sans Mono
+// draws the Latin, Greek and Cyrillic text Courier lacks. The Noto fonts draw Chinese and Japanese,
+// Korean Hangul and emoji; at about 17 MB they are not bundled but fetched into FONTS_DIR by
+// scripts/fetch-fallback-fonts.sh, and used only when found there.
+// Their CJK glyphs are full-width, so they keep the two columns the layout gives them;
+// emoji are monochrome since PDF fonts have no colour glyphs
+const FALLBACK_FONTS = {
+  'dejavu-sans-mono': { name: 'DejaVu Sans Mono', family: 'DejaVu Sans Mono', weight: 'normal', file: 'DejaVuSansMono.ttf', bundled: true },
+  'noto-sans-sc': { name: 'Noto Sans SC', family: 'Noto Sans SC', weight: 'normal', file: 'NotoSansSC-Regular.ttf', bundled: false },
+  'noto-sans-kr': { name: 'Noto Sans KR', family: 'Noto Sans KR', weight: 'normal', file: 'NotoSansKR-Regular.ttf', bundled: false },
+  'noto-emoji': { name: 'Noto Emoji', family: 'Noto Emoji', weight: 'normal', file: 'NotoEmoji-Regular.ttf', bundled: false }
+};
+
+// Code points that join or style other characters and need no glyph of their own:
+// zero width joiner, variation selectors and emoji skin tone modifiers
+const JOINING_CHARS = /[\u200D\uFE00-\uFE0F\u{1F3FB}-\u{1F3FF}\u{E0020}-\u{E007F}]/u;
+
+let fonts = null;
+let fallbackFonts = null;
+
+// Parsed font files by path, to look up their glyphs
+const fontFiles = new Map();
+
+/**
+ * Turn a font file name into a font id, e.g. "NotoSansMonoCJKsc-Regular.otf" → "notosansmonocjksc-regular"
+ * @param {string} file - Font file name
+ * @returns {string} - Font id
+ */
+function fontId(file) {
+  return path.basename(file, path.extname(file)).toLowerCase().replace(/[^a-z0-9]+/g, '-');
+}
+
+/**
+ * Load the fonts once: built-in, bundled and the ones found in FONTS_DIR, except the fallback fonts
+ * which are not monospace
+ * @returns {Object} - Fonts by id
+ */
+function loadFonts() {
+  if (fonts) {
+    return fonts;
+  }
+
+  fonts = { ...BUILTIN_FONTS };
+
+  Object.entries(BUNDLED_FONTS).forEach(([id, font]) => {
+    fonts[id] = {
+      name: font.name,
+      family: font.family,
+      weight: font.weight,
+      source: path.join(fontsConfig.bundledDirectory, font.file),
+      builtin: false
+    };
+  });
+
+  if (fontsConfig.extraDirectory) {
+    try {
+      fs.readdirSync(fontsConfig.extraDirectory)
+        .filter(file => /\.(ttf|otf)$/i.test(file))
+        .filter(file => !Object.values(FALLBACK_FONTS).some(font => font.file === file))
+        .forEach(file => {
+          const name = path.basename(file, path.extname(file));
+          fonts[fontId(file)] = {
+            name,
+            family: name,
+            weight: 'normal',
+            source: path.join(fontsConfig.extraDirectory, file),
+            builtin: false
+          };
+        });
+    } catch (error) {
+      console.error(`Failed to read fonts from ${fontsConfig.extraDirectory}:`, error.message);
+    }
+  }
+
+  return fonts;
+}
+
+/**
+ * List the available fonts
+ * @returns {Object[]} - { id, name, builtin } for each font
+ */
+function listFonts() {
+  return Object.entries(loadFonts()).map(([id, font]) => ({ id, name: font.name, builtin: font.builtin }));
+}
+
+/**
+ * Get a font by id
+ * @param {string} id - Font id
+ * @returns {Object|null} - { id, name, family, weight, source, builtin }, null if unknown.
+ *   source is the built-in font name or the path of the font file, as accepted by PDFKit
+ */
+function getFont(id) {
+  const font = loadFonts()[id];
+  return font ? { id, ...font } : null;
+}
+
+/**
+ * Id of the font used when a job doesn't choose one
+ * @returns {string} - Font id
+ */
+function getDefaultFont() {
+  return fontsConfig.defaultFont;
+}
+
+/**
+ * Fonts drawing the characters a job font lacks, in the order they are tried.
+ * Fallback fonts that are not bundled are only available once fetched into FONTS_DIR.
+ * @returns {Object[]} - { id, name, family, weight, source, builtin } for each available fallback font
+ */
+function getFallbackFonts() {
+  if (!fallbackFonts) {
+    fallbackFonts = Object.entries(FALLBACK_FONTS)
+      .map(([id, font]) => ({
+        id,
+        name: font.name,
+        family: font.family,
+        weight: font.weight,
+        source: font.bundled
+          ? path.join(fontsConfig.bundledDirectory, font.file)
+          : fontsConfig.extraDirectory && path.join(fontsConfig.extraDirectory, font.file),
+        builtin: false
+      }))
+      .filter(font => font.source && fs.existsSync(font.source));
+  }
+  return fallbackFonts;
+}
+
+/**
+ * Check whether a font has glyphs for every character of a grapheme
+ * @param {Object} font - Font from getFont or getFallbackFonts
+ * @param {string} grapheme - Grapheme to draw
+ * @returns {boolean} - True if the font can draw the grapheme
+ */
+function hasGlyphs(font, grapheme) {
+  const codePoints = Array.from(grapheme)
+    .filter(char => !JOINING_CHARS.test(char))
+    .map(char => char.codePointAt(0));
+
+  // Built-in PDF fonts use the WinAnsi encoding, close enough to Latin-1
+  if (font.builtin) {
+    return codePoints.every(codePoint => codePoint <= 0xFF);
+  }
+
+  if (!fontFiles.has(font.source)) {
+    try {
+      fontFiles.set(font.source, fontkit.openSync(font.source));
+    } catch (error) {
+      console.error(`Failed to read font ${font.source}:`, error.message);
+      fontFiles.set(font.source, null);
+    }
+  }
+
+  const file = fontFiles.get(font.source);
+  return !!file && codePoints.every(codePoint => file.hasGlyphForCodePoint(codePoint));
+}
+
+/**
+ * Find the font a grapheme missing from a job font is drawn with
+ * @param {Object} font - Job font from getFont
+ * @param {string} grapheme - Grapheme to draw
+ * @returns {Object|null} - Fallback font from getFallbackFonts, null when the job font draws the grapheme
+ *   or no font can
+ */
+function getFallbackFont(font, grapheme) {
+  if (/^[\x20-\x7E]*$/.test(grapheme) || hasGlyphs(font, grapheme)) {
+    return null;
+  }
+  return getFallbackFonts().find(fallback => hasGlyphs(fallback, grapheme)) || null;
+}
+
+/**
+ * Paths of every font file, used as fallbacks when rasterising
+ * @returns {string[]} - Font file paths
+ */
+function getFontFiles() {
+  const sources = [...Object.values(loadFonts()), ...getFallbackFonts()]
+    .filter(font => !font.builtin)
+    .map(font => font.source);
+  return [...new Set(sources)];
+}
+
+module.exports = {
+  getDefaultFont,
+  getFallbackFont,
+  getFallbackFonts,
+  getFont,
+  getFontFiles,
+  hasGlyphs,
+  listFonts
+};
\ No newline at end of file
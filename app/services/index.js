@@ -1,9 +1,37 @@
+const fontRegistry = require('./fontRegistry');
+const jobEvents = require('./jobEvents');
+const jobRequest = require('./jobRequest');
+const layouts = require('./layouts');
+const normalization = require('./normalization');
+const outputFormats = require('./outputFormats');
+const pdfDocument = require('./pdfDocument');
 const PDFWorkerService = require('./pdfWorker');
+const PreviewWorkerService = require('./previewWorker');
 const QueueProcessor = require('./queueProcessor');
+const RetentionService = require('./retentionService');
 const SpiralGenerator = require('./spiralGenerator');
+const SpiralRenderer = require('./spiralRenderer');
+const SvgRenderer = require('./svgRenderer');
+const themes = require('./themes');
+const storage = require('./storage');
+const WebhookService = require('./webhookService');
 
 module.exports = {
+  fontRegistry,
+  jobEvents,
+  jobRequest,
+  layouts,
+  normalization,
+  outputFormats,
+  pdfDocument,
   PDFWorkerService,
+  PreviewWorkerService,
   QueueProcessor,
-  SpiralGenerator
+  RetentionService,
+  SpiralGenerator,
+  SpiralRenderer,
+  SvgRenderer,
+  themes,
+  storage,
+  WebhookService
 };
\ No newline at end of file
@@ -0,0 +1,13 @@
+/**
+ * Job Events - In-process event bus for PDF job notifications
+ * Lets the API routes wake up the queue processor without waiting for the next polling sweep
+ */
+
+const { EventEmitter } = require('events');
+
+const jobEvents = new EventEmitter();
+
+// Every open connection or service may subscribe, so don't warn on many listeners
+jobEvents.setMaxListeners(0);
+
+module.exports = jobEvents;
\ No newline at end of file
@@ -0,0 +1,244 @@
+/**
+ * Job Request - Validates PDF job submissions
+ * Shared by the single job and batch endpoints so both accept the same options
+ */
+
+const fontRegistry = require('./fontRegistry');
+const layouts = require('./layouts');
+const normalization = require('./normalization');
+const outputFormats = require('./outputFormats');
+const SpiralGenerator = require('./spiralGenerator');
+const themes = require('./themes');
+const WebhookService = require('./webhookService');
+
+const webhookService = new WebhookService();
+
+// Word lists share the limits of the inputs normalized server-side
+const { MAX_INPUTS, MAX_INPUT_LENGTH, MAX_TOTAL_LENGTH } = normalization;
+
+// Limits of the document details shown in PDFs
+const MAX_TITLE_LENGTH = 200;
+const MAX_SOURCE_ENTRIES = 10000;
+
+/**
+ * Error raised when a job submission is invalid, answered with 400 Bad Request
+ */
+class JobRequestError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'JobRequestError';
+    this.status = 400;
+  }
+}
+
+/**
+ * Validate the spiral input of a submission: comma-separated content, a list of words,
+ * or raw inputs normalized here with one of the shared algorithms
+ * @param {Object} body - Submitted data
+ * @param {string} [body.content] - Comma-separated words
+ * @param {string[]} [body.words] - One word per spiral cell, words may contain commas or be empty
+ * @param {string[]} [body.inputs] - Raw strings, normalized into one word each
+ * @param {string} [body.algorithm] - Normalization algorithm of the inputs, see GET /api/normalize
+ * @param {Object} [body.algorithmOptions] - Options of the algorithm, e.g. { delimiters } for brackets
+ * @returns {Object} { content, words, algorithm, algorithmOptions, entries } where content is always a string,
+ *   empty when the only word is, words only for word lists and inputs, the algorithm, its complete options and the { original, normalized } entries
+ *   only for inputs
+ * @throws {JobRequestError} When the input is missing or invalid
+ */
+function parseSpiralInput(body) {
+  const { content, words, inputs, algorithm, algorithmOptions } = body || {};
+  const given = value => value !== undefined && value !== null;
+  
+  if (given(algorithmOptions) && !given(algorithm)) {
+    throw new JobRequestError('Algorithm options can only be sent with inputs and an algorithm');
+  }
+  
+  if (given(inputs) || given(algorithm)) {
+    if (given(content) || given(words)) {
+      throw new JobRequestError('Send either inputs or content and words, not both');
+    }
+    
+    if (!given(inputs) || !given(algorithm)) {
+      throw new JobRequestError('Inputs and algorithm must be sent together');
+    }
+    
+    let entries, resolvedOptions;
+    try {
+      resolvedOptions = normalization.resolveOptions(algorithm, algorithmOptions);
+      entries = normalization.normalizeInputs(algorithm, inputs, resolvedOptions);
+    } catch (error) {
+      throw new JobRequestError(error.message);
+    }
+    
+    // Inputs may normalize to empty words, e.g. '()', the job then keeps an empty content next to the word list
+    const normalizedWords = entries.map(entry => entry.normalized);
+    return {
+      content: normalizedWords.join(', '),
+      words: normalizedWords,
+      algorithm,
+      algorithmOptions: resolvedOptions,
+      entries
+    };
+  }
+  
+  if (given(words)) {
+    if (given(content)) {
+      throw new JobRequestError('Send either content or words, not both');
+    }
+    
+    if (!Array.isArray(words) || words.length === 0 || !words.every(word => typeof word === 'string')) {
+      throw new JobRequestError('Words must be a non-empty array of strings');
+    }
+    
+    if (words.length > MAX_INPUTS) {
+      throw new JobRequestError(`Words must be at most ${MAX_INPUTS}`);
+    }
+    
+    if (!words.every(word => word.length <= MAX_INPUT_LENGTH)) {
+      throw new JobRequestError(`Words must be strings of at most ${MAX_INPUT_LENGTH} characters`);
+    }
+    
+    if (words.reduce((total, word) => total + word.length, 0) > MAX_TOTAL_LENGTH) {
+      throw new JobRequestError(`Words must be at most ${MAX_TOTAL_LENGTH} characters in total`);
+    }
+    
+    // Content keeps a readable copy of the words for listings
+    return { content: words.join(', '), words, algorithm: null, algorithmOptions: null, entries: null };
+  }
+  
+  // Check if content is provided and is a non-empty string
+  if (!content || typeof content !== 'string' || content.trim().length === 0) {
+    throw new JobRequestError('Content is required and must be a non-empty string');
+  }
+  
+  return { content: content.trim(), words: null, algorithm: null, algorithmOptions: null, entries: null };
+}
+
+/**
+ * Validate a job submission and build the fields of the new PDFJob
+ * @param {Object} body - Submitted job data
+ * @param {string} [body.content] - Text content to convert to PDF, comma-separated words
+ * @param {string[]} [body.words] - List of words, instead of content, one per spiral cell
+ * @param {string[]} [body.inputs] - Raw strings, instead of content, normalized server-side with body.algorithm
+ * @param {string} [body.algorithm] - Normalization algorithm of the inputs
+ * @param {Object} [body.algorithmOptions] - Options of the algorithm, e.g. { delimiters } for brackets
+ * @param {string} [body.callbackUrl] - URL called back when the job finishes
+ * @param {string} [body.layout] - Layout id, see GET /api/pdf/layouts, defaults to the rectangular spiral
+ * @param {Object} [body.spiralOptions] - Spiral layout options, see SpiralGenerator.DEFAULT_OPTIONS
+ * @param {string} [body.font] - Font id, see GET /api/pdf/fonts
+ * @param {string|Object} [body.theme] - Built-in theme name, see GET /api/pdf/themes, or theme overrides
+ * @param {string} [body.format] - Output format: pdf (default), svg, png or txt
+ * @param {number} [body.dpi] - Resolution of png output
+ * @param {string} [body.title] - Document title
+ * @param {string} [body.sourcePage] - Page the job is created from, e.g. 'brackets'
+ * @param {Object[]} [body.sourceEntries] - { original, normalized } rows listed in the PDF appendix,
+ *   defaults to the normalized inputs
+ * @returns {Object} PDFJob fields, without jobId and status
+ * @throws {JobRequestError} When the submission is invalid
+ */
+function parseJobRequest(body) {
+  const { callbackUrl, layout, spiralOptions, font, theme, format, dpi, title, sourcePage, sourceEntries } = body || {};
+  const { content, words, algorithm, algorithmOptions, entries } = parseSpiralInput(body);
+  
+  // Check the optional callback URL
+  if (callbackUrl !== undefined && callbackUrl !== null) {
+    if (!webhookService.isEnabled()) {
+      throw new JobRequestError('Webhook callbacks are not enabled on this server');
+    }
+    
+    if (!webhookService.isValidCallbackUrl(callbackUrl)) {
+      throw new JobRequestError('Callback URL must be an absolute http or https URL and must not target a private address');
+    }
+  }
+  
+  // Check the optional layout algorithm
+  if (layout !== undefined && layout !== null && (typeof layout !== 'string' || !layouts.getLayout(layout))) {
+    throw new JobRequestError(`Unknown layout "${layout}", see GET /api/pdf/layouts for the available layouts`);
+  }
+  
+  // Check the optional spiral options and fill in the defaults
+  let normalizedSpiralOptions;
+  try {
+    normalizedSpiralOptions = SpiralGenerator.normalizeOptions(spiralOptions === null ? undefined : spiralOptions);
+  } catch (error) {
+    throw new JobRequestError(`Invalid spiral options: ${error.message}`);
+  }
+  
+  // Check the optional font
+  if (font !== undefined && font !== null && (typeof font !== 'string' || !fontRegistry.getFont(font))) {
+    throw new JobRequestError(`Unknown font "${font}", see GET /api/pdf/fonts for the available fonts`);
+  }
+  
+  // Check the optional theme and fill in the options of its base theme
+  let resolvedTheme;
+  try {
+    resolvedTheme = themes.resolveTheme(theme);
+  } catch (error) {
+    throw new JobRequestError(`Invalid theme: ${error.message}`);
+  }
+  
+  // Check the optional output format and its resolution
+  const outputFormat = format === undefined || format === null ? 'pdf' : format;
+  if (!outputFormats.getOutputFormat(outputFormat)) {
+    throw new JobRequestError(`Format must be one of: ${outputFormats.FORMATS.join(', ')}`);
+  }
+  
+  if (dpi !== undefined && dpi !== null) {
+    if (outputFormat !== 'png') {
+      throw new JobRequestError('DPI can only be set for the png format');
+    }
+    
+    const { min, max } = outputFormats.PNG_DPI;
+    if (!Number.isInteger(dpi) || dpi < min || dpi > max) {
+      throw new JobRequestError(`DPI must be an integer between ${min} and ${max}`);
+    }
+  }
+  
+  // Check the optional document details
+  if (title !== undefined && title !== null &&
+      (typeof title !== 'string' || title.trim().length === 0 || title.length > MAX_TITLE_LENGTH)) {
+    throw new JobRequestError(`Title must be a non-empty string of at most ${MAX_TITLE_LENGTH} characters`);
+  }
+  
+  if (sourcePage !== undefined && sourcePage !== null &&
+      (typeof sourcePage !== 'string' || !/^[a-z0-9-]{1,50}$/.test(sourcePage))) {
+    throw new JobRequestError('Source page must be a page identifier such as "brackets"');
+  }
+  
+  if (sourceEntries !== undefined && sourceEntries !== null) {
+    const validEntry = entry => entry !== null && typeof entry === 'object' &&
+      typeof entry.original === 'string' && typeof entry.normalized === 'string';
+    
+    if (!Array.isArray(sourceEntries) || sourceEntries.length > MAX_SOURCE_ENTRIES || !sourceEntries.every(validEntry)) {
+      throw new JobRequestError(`Source entries must be an array of at most ${MAX_SOURCE_ENTRIES} { original, normalized } strings`);
+    }
+  }
+  
+  // Normalized inputs fill the appendix unless the rows are sent explicitly
+  const appendixEntries = sourceEntries || entries;
+  
+  return {
+    content,
+    words,
+    algorithm,
+    algorithmOptions,
+    callbackUrl: callbackUrl || null,
+    layout: layout || layouts.DEFAULT_LAYOUT,
+    spiralOptions: normalizedSpiralOptions,
+    font: font || fontRegistry.getDefaultFont(),
+    theme: resolvedTheme,
+    format: outputFormat,
+    dpi: outputFormat === 'png' ? dpi || outputFormats.PNG_DPI.default : null,
+    title: title ? title.trim() : null,
+    sourcePage: sourcePage || null,
+    sourceEntries: appendixEntries && appendixEntries.length > 0
+      ? appendixEntries.map(({ original, normalized }) => ({ original, normalized }))
+      : undefined
+  };
+}
+
+module.exports = {
+  JobRequestError,
+  parseJobRequest,
+  parseSpiralInput
+};
\ No newline at end of file
@@ -0,0 +1,112 @@
+/**
+ * Archimedean Layout - Words written along a true spiral, r = a + bθ,
+ * starting from the centre and turning outwards
+ */
+
+const SpiralGenerator = require('../spiralGenerator');
+const { LINE_HEIGHT, DESCENT, Path, endText, finishLayout, placeText, textLength } = require('./vectorLayout');
+
+// Distance between two turns, leaves room for a line of text and some air
+const TURN_SPACING = LINE_HEIGHT * 1.5;
+const START_RADIUS = 1.5;
+const WORD_GAP = 1.2;
+
+// Longest chord between two samples of the curve, in ems
+const SAMPLE_LENGTH = 0.25;
+
+/**
+ * Sample the spiral until it is long enough for the text
+ * The first word is written upright: the spiral starts below the centre when it turns
+ * counter-clockwise and above it when it turns clockwise, so glyphs face the centre or away from it
+ * @param {number} length - Length needed, in ems
+ * @param {boolean} clockwise - Direction of the turns
+ * @param {number} [radiusOffset] - Distance added to the radius, to draw a parallel curve
+ * @returns {Path} - The spiral
+ */
+function spiralPath(length, clockwise, radiusOffset = 0) {
+  const growth = TURN_SPACING / (2 * Math.PI);
+  const sign = clockwise ? 1 : -1;
+  const start = -Math.PI / 2;
+  const point = angle => {
+    const radius = START_RADIUS + radiusOffset + growth * (angle - start);
+    return [radius * Math.cos(angle), sign * radius * Math.sin(angle)];
+  };
+
+  const points = [point(start)];
+  let angle = start;
+  let travelled = 0;
+
+  while (travelled < length) {
+    const radius = START_RADIUS + radiusOffset + growth * (angle - start);
+    angle += Math.min(0.1, SAMPLE_LENGTH / radius);
+
+    const next = point(angle);
+    const [x, y] = points[points.length - 1];
+    travelled += Math.hypot(next[0] - x, next[1] - y);
+    points.push(next);
+  }
+
+  return new Path(points);
+}
+
+/**
+ * Generate an Archimedean spiral layout
+ * @param {string[]} words - Words to place, in order
+ * @param {Object} options - Complete spiral options, clockwise, marker and endGlyph apply
+ * @returns {Object} - Vector layout model
+ */
+function generate(words, options) {
+  const { clockwise, marker } = options;
+  const end = endText(options);
+
+  if (words.length === 0) {
+    return finishLayout({ options, words: [], marker: null, end: null, paths: [] });
+  }
+
+  const length = [marker, ...words, ...(end ? [end] : [])].reduce((total, text) => total + textLength(text) + WORD_GAP, 0);
+  const path = spiralPath(length, clockwise);
+
+  // Turns counted from the start, like the rings of the rectangular spiral
+  const turnAt = distance => {
+    const { x, y } = path.pointAt(distance);
+    return Math.floor((Math.hypot(x, y) - START_RADIUS) / TURN_SPACING) + 1;
+  };
+
+  let offset = 0;
+  const markerGlyphs = placeText(path, offset, marker);
+  offset += textLength(marker) + WORD_GAP;
+
+  const placed = words.map((text, index) => {
+    const word = {
+      index,
+      text,
+      width: SpiralGenerator.textWidth(text),
+      ring: index === 0 ? 0 : turnAt(offset),
+      direction: index === 0 ? 'center' : clockwise ? 'clockwise' : 'counterclockwise',
+      glyphs: placeText(path, offset, text)
+    };
+    offset += textLength(text) + WORD_GAP;
+    return word;
+  });
+
+  let endGlyphs = null;
+  if (end) {
+    endGlyphs = placeText(path, offset, end);
+    offset += textLength(end) + WORD_GAP;
+  }
+
+  // Guide line just under the baselines, on the side away from the glyphs
+  const guide = spiralPath(offset, clockwise, clockwise ? -DESCENT * 1.5 : DESCENT * 1.5);
+
+  return finishLayout({
+    options,
+    words: placed,
+    marker: { text: marker, glyphs: markerGlyphs },
+    end: end ? { text: end, glyphs: endGlyphs } : null,
+    paths: [{ kind: 'guide', type: 'polyline', points: guide.points }]
+  });
+}
+
+module.exports = {
+  generate
+};
\ No newline at end of file
@@ -0,0 +1,88 @@
+/**
+ * Layouts - Registry of the algorithms that arrange words on the page
+ * Every algorithm turns the same words and spiral options into a layout model:
+ * - grid layouts place text on character cells, see SpiralGenerator.generateLayout
+ * - vector layouts place glyphs at any position and angle, in ems of the font size:
+ *   - words: { index, text, width, ring, direction, glyphs } in input order,
+ *     each glyph { text, x, y, angle, width } anchored on the start of its baseline
+ *   - marker: { text, glyphs } of the start marker, null if there are no words
+ *   - end: { text, glyphs } of the custom end glyph, null if there is none
+ *   - paths: lines drawn under the words, { kind: 'guide' | 'separator', type: 'polyline', points }
+ *     or { kind, type: 'circle', cx, cy, r }
+ * Both kinds have type, options, width, height and lines, a text rendition of the layout
+ */
+
+const SpiralGenerator = require('../spiralGenerator');
+
+const DEFAULT_LAYOUT = 'spiral';
+
+const LAYOUTS = {
+  spiral: {
+    name: 'Rectangular spiral',
+    description: 'Square rings of text around the first word, drawn with separator characters',
+    generate: (words, options) => SpiralGenerator.generateLayout(words, options)
+  },
+  archimedean: {
+    name: 'Archimedean spiral',
+    description: 'Words written along a continuous spiral curve turning outwards',
+    generate: (words, options) => require('./archimedeanLayout').generate(words, options)
+  },
+  rings: {
+    name: 'Concentric rings',
+    description: 'The first word in the centre, the next ones on circles around it',
+    generate: (words, options) => require('./ringsLayout').generate(words, options)
+  },
+  zigzag: {
+    name: 'Zigzag',
+    description: 'Rows read alternately left to right and right to left',
+    generate: (words, options) => require('./zigzagLayout').generate(words, options)
+  }
+};
+
+/**
+ * List the available layouts
+ * @returns {Object[]} - { id, name, description } for each layout
+ */
+function listLayouts() {
+  return Object.entries(LAYOUTS).map(([id, { name, description }]) => ({ id, name, description }));
+}
+
+/**
+ * Get a layout by id
+ * @param {string} id - Layout id
+ * @returns {Object|null} - { id, name, description }, null if unknown
+ */
+function getLayout(id) {
+  if (!Object.prototype.hasOwnProperty.call(LAYOUTS, id)) {
+    return null;
+  }
+  const { name, description } = LAYOUTS[id];
+  return { id, name, description };
+}
+
+/**
+ * Arrange words with a layout algorithm
+ * @param {string} id - Layout id, defaults to the rectangular spiral
+ * @param {string|string[]} input - Comma-separated words, or a list of words
+ * @param {Object} [options] - Spiral options, see SpiralGenerator.DEFAULT_OPTIONS
+ * @returns {Object} - Layout model, with the id of the layout as algorithm
+ * @throws {Error} - When the layout is unknown or an option is invalid
+ */
+function generateLayout(id, input, options = {}) {
+  const layoutId = id || DEFAULT_LAYOUT;
+  if (!getLayout(layoutId)) {
+    throw new Error(`Unknown layout "${layoutId}", expected one of: ${Object.keys(LAYOUTS).join(', ')}`);
+  }
+
+  const normalizedOptions = SpiralGenerator.normalizeOptions(options);
+  const words = SpiralGenerator.parseWords(input);
+
+  return { algorithm: layoutId, ...LAYOUTS[layoutId].generate(words, normalizedOptions) };
+}
+
+module.exports = {
+  DEFAULT_LAYOUT,
+  generateLayout,
+  getLayout,
+  listLayouts
+};
\ No newline at end of file
@@ -0,0 +1,133 @@
+/**
+ * Rings Layout - The first word in the centre and the next ones on concentric circles,
+ * each ring filled before moving outwards
+ */
+
+const SpiralGenerator = require('../spiralGenerator');
+const { LINE_HEIGHT, ASCENT, DESCENT, Path, circlePoints, endText, finishLayout, placeText, textLength } = require('./vectorLayout');
+
+// Distance between two rings, leaves room for a separator circle between them
+const RING_SPACING = LINE_HEIGHT * 1.6;
+const WORD_GAP = 1.2;
+
+/**
+ * Split the words after the first one into rings, each ring holding what fits on its circumference
+ * @param {string[]} words - Words outside the centre
+ * @param {number} firstRadius - Radius of the innermost ring
+ * @returns {Object[]} - Rings { radius, words: [{ text, index }] }, indexes counted from the centre word
+ */
+function fillRings(words, firstRadius) {
+  const rings = [];
+  let radius = firstRadius;
+  let current = { radius, words: [], length: 0 };
+
+  words.forEach((text, i) => {
+    const length = textLength(text) + WORD_GAP;
+
+    // Start a new ring when the word doesn't fit, long words skip the rings too small for them
+    while (current.length + length > 2 * Math.PI * current.radius) {
+      if (current.words.length > 0) {
+        rings.push(current);
+      }
+      radius += RING_SPACING;
+      current = { radius, words: [], length: 0 };
+    }
+
+    current.words.push({ text, index: i + 1 });
+    current.length += length;
+  });
+
+  if (current.words.length > 0) {
+    rings.push(current);
+  }
+
+  return rings;
+}
+
+/**
+ * Generate a concentric rings layout
+ * Rings are read from the bottom when they turn counter-clockwise and from the top when they
+ * turn clockwise, so the first word of every ring is upright
+ * @param {string[]} words - Words to place, in order
+ * @param {Object} options - Complete spiral options, clockwise, marker and endGlyph apply
+ * @returns {Object} - Vector layout model
+ */
+function generate(words, options) {
+  const { clockwise, marker } = options;
+  const end = endText(options);
+
+  if (words.length === 0) {
+    return finishLayout({ options, words: [], marker: null, end: null, paths: [] });
+  }
+
+  // The marker and the first word share a straight line through the centre
+  const [first, ...others] = words;
+  const centreLength = textLength(marker) + WORD_GAP + textLength(first);
+  const baseline = (ASCENT - DESCENT) / 2;
+  const centre = new Path([[-centreLength / 2, baseline], [centreLength / 2, baseline]]);
+  const centreRadius = Math.hypot(centreLength / 2, ASCENT);
+
+  const placed = [{
+    index: 0,
+    text: first,
+    width: SpiralGenerator.textWidth(first),
+    ring: 0,
+    direction: 'center',
+    glyphs: placeText(centre, textLength(marker) + WORD_GAP, first)
+  }];
+  const paths = [];
+  let endGlyphs = null;
+
+  // Glyphs of a ring face the centre when it turns counter-clockwise, so they need room inside it
+  const inside = clockwise ? DESCENT : ASCENT;
+  const outside = clockwise ? ASCENT : DESCENT;
+  const separatorOffset = (RING_SPACING + outside - inside) / 2;
+  // The end glyph takes the place of one more word on the last ring
+  const rings = fillRings(end ? [...others, end] : others, centreRadius + inside + RING_SPACING / 2);
+
+  if (rings.length > 0) {
+    paths.push({ kind: 'separator', type: 'circle', cx: 0, cy: 0, r: rings[0].radius + separatorOffset - RING_SPACING });
+  }
+
+  rings.forEach((ring, ringIndex) => {
+    const circumference = 2 * Math.PI * ring.radius;
+    const startAngle = clockwise ? -Math.PI / 2 : Math.PI / 2;
+    const path = new Path(circlePoints(0, 0, ring.radius, startAngle, clockwise));
+
+    // Spread the free space evenly between the words of the ring
+    const textTotal = ring.words.reduce((total, { text }) => total + textLength(text), 0);
+    const gap = (circumference - textTotal) / ring.words.length;
+    let offset = gap / 2;
+
+    ring.words.forEach(({ text, index }) => {
+      if (index === words.length) {
+        endGlyphs = placeText(path, offset, text);
+        return;
+      }
+
+      placed.push({
+        index,
+        text,
+        width: SpiralGenerator.textWidth(text),
+        ring: ringIndex + 1,
+        direction: clockwise ? 'clockwise' : 'counterclockwise',
+        glyphs: placeText(path, offset, text)
+      });
+      offset += textLength(text) + gap;
+    });
+
+    paths.push({ kind: 'separator', type: 'circle', cx: 0, cy: 0, r: ring.radius + separatorOffset });
+  });
+
+  return finishLayout({
+    options,
+    words: placed,
+    marker: { text: marker, glyphs: placeText(centre, 0, marker) },
+    end: end ? { text: end, glyphs: endGlyphs } : null,
+    paths
+  });
+}
+
+module.exports = {
+  generate
+};
\ No newline at end of file
@@ -0,0 +1,254 @@
+/**
+ * Vector Layout - Geometry shared by the layouts that draw words along curves
+ * Coordinates are in ems of the font size, with y growing downwards as on PDF and SVG pages,
+ * so renderers only have to scale them
+ */
+
+const SpiralGenerator = require('../spiralGenerator');
+
+// Monospace cell and glyph extent, in ems
+const CHAR_WIDTH = 0.6;
+const LINE_HEIGHT = 1.2;
+const ASCENT = 0.8;
+const DESCENT = 0.2;
+
+// Blank border around the drawing, in ems
+const MARGIN = 1;
+
+// Decimals kept in coordinates, enough for any page size
+const PRECISION = 1000;
+
+/**
+ * Polyline walked by distance, words are laid out on it glyph by glyph
+ */
+class Path {
+  /**
+   * @param {number[][]} points - [x, y] points, at least two
+   */
+  constructor(points) {
+    this.points = points;
+    this.distances = [0];
+
+    for (let i = 1; i < points.length; i++) {
+      const [x0, y0] = points[i - 1];
+      const [x1, y1] = points[i];
+      this.distances.push(this.distances[i - 1] + Math.hypot(x1 - x0, y1 - y0));
+    }
+  }
+
+  /**
+   * Total length of the path
+   * @returns {number} - Length in ems
+   */
+  get length() {
+    return this.distances[this.distances.length - 1];
+  }
+
+  /**
+   * Point at a distance from the start, the first and last segments are extended beyond the ends
+   * @param {number} distance - Distance along the path
+   * @returns {Object} - { x, y, angle } where angle is the direction of travel in degrees, clockwise
+   */
+  pointAt(distance) {
+    // Binary search for the segment holding the distance
+    let low = 1;
+    let high = this.distances.length - 1;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (this.distances[middle] < distance) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+
+    const [x0, y0] = this.points[low - 1];
+    const [x1, y1] = this.points[low];
+    const start = this.distances[low - 1];
+    const length = this.distances[low] - start || 1;
+    const ratio = (distance - start) / length;
+
+    return {
+      x: x0 + (x1 - x0) * ratio,
+      y: y0 + (y1 - y0) * ratio,
+      angle: Math.atan2(y1 - y0, x1 - x0) * 180 / Math.PI
+    };
+  }
+}
+
+/**
+ * Text drawn after the last word, vector layouts have no room for the ASCII snail
+ * @param {Object} options - Complete spiral options
+ * @returns {string|null} - The custom end glyph when the ending is enabled, null otherwise
+ */
+function endText(options) {
+  return options.snail && options.endGlyph ? options.endGlyph : null;
+}
+
+/**
+ * Length of a text along a path
+ * @param {string} text - Text to measure
+ * @returns {number} - Length in ems
+ */
+function textLength(text) {
+  return SpiralGenerator.textWidth(text) * CHAR_WIDTH;
+}
+
+/**
+ * Lay a text out along a path, one glyph at a time
+ * @param {Path} path - Path the text follows, its baseline
+ * @param {number} offset - Distance along the path where the text starts
+ * @param {string} text - Text to place
+ * @returns {Object[]} - Glyphs { text, x, y, angle, width } anchored on the start of their baseline,
+ *   rotated by angle degrees, width in cells
+ */
+function placeText(path, offset, text) {
+  let distance = offset;
+
+  return SpiralGenerator.graphemes(text).map(grapheme => {
+    const width = SpiralGenerator.graphemeWidth(grapheme);
+    const advance = width * CHAR_WIDTH;
+
+    // Each glyph follows the tangent at its middle, so it sits on the curve
+    const middle = path.pointAt(distance + advance / 2);
+    const radians = middle.angle * Math.PI / 180;
+    distance += advance;
+
+    return {
+      text: grapheme,
+      x: middle.x - Math.cos(radians) * advance / 2,
+      y: middle.y - Math.sin(radians) * advance / 2,
+      angle: middle.angle,
+      width
+    };
+  });
+}
+
+/**
+ * Sample a circle as a closed polyline
+ * @param {number} cx - Centre x
+ * @param {number} cy - Centre y
+ * @param {number} radius - Radius
+ * @param {number} startAngle - Angle of the first point, in radians, clockwise from the x axis
+ * @param {boolean} clockwise - Direction of travel
+ * @returns {number[][]} - Points, the first one repeated at the end
+ */
+function circlePoints(cx, cy, radius, startAngle, clockwise) {
+  const steps = Math.max(72, Math.ceil(2 * Math.PI * radius / 0.25));
+  const sign = clockwise ? 1 : -1;
+  const points = [];
+
+  for (let i = 0; i <= steps; i++) {
+    const angle = startAngle + sign * 2 * Math.PI * i / steps;
+    points.push([cx + radius * Math.cos(angle), cy + radius * Math.sin(angle)]);
+  }
+
+  return points;
+}
+
+/**
+ * Corners of the box a glyph covers
+ * @param {Object} glyph - Glyph from placeText
+ * @returns {number[][]} - Four [x, y] corners
+ */
+function glyphCorners(glyph) {
+  const radians = glyph.angle * Math.PI / 180;
+  const cos = Math.cos(radians);
+  const sin = Math.sin(radians);
+  const advance = glyph.width * CHAR_WIDTH;
+
+  return [[0, -ASCENT], [advance, -ASCENT], [advance, DESCENT], [0, DESCENT]]
+    .map(([dx, dy]) => [glyph.x + dx * cos - dy * sin, glyph.y + dx * sin + dy * cos]);
+}
+
+/**
+ * Complete a vector layout: move the drawing to the top-left corner, round the coordinates,
+ * measure it and sketch its text lines
+ * @param {Object} model - { options, words, marker, end, paths } with coordinates around any origin
+ * @returns {Object} - Vector layout model, see layouts/index.js
+ */
+function finishLayout(model) {
+  const glyphs = [
+    ...(model.marker ? model.marker.glyphs : []),
+    ...model.words.flatMap(word => word.glyphs),
+    ...(model.end ? model.end.glyphs : [])
+  ];
+  const points = [
+    ...glyphs.flatMap(glyphCorners),
+    ...model.paths.flatMap(path => path.type === 'circle'
+      ? [[path.cx - path.r, path.cy - path.r], [path.cx + path.r, path.cy + path.r]]
+      : path.points)
+  ];
+
+  // Bounding box of everything drawn, an empty layout is an empty page
+  const bounds = points.reduce(([minX, minY, maxX, maxY], [x, y]) =>
+    [Math.min(minX, x), Math.min(minY, y), Math.max(maxX, x), Math.max(maxY, y)],
+  [Infinity, Infinity, -Infinity, -Infinity]);
+  const [minX, minY, maxX, maxY] = points.length > 0 ? bounds : [0, 0, 0, 0];
+  const round = value => Math.round(value * PRECISION) / PRECISION;
+  const moveX = x => round(x - minX + MARGIN);
+  const moveY = y => round(y - minY + MARGIN);
+  const moveGlyph = glyph => ({ ...glyph, x: moveX(glyph.x), y: moveY(glyph.y), angle: round(glyph.angle) });
+
+  const layout = {
+    type: 'vector',
+    options: model.options,
+    width: points.length > 0 ? round(maxX - minX + MARGIN * 2) : 0,
+    height: points.length > 0 ? round(maxY - minY + MARGIN * 2) : 0,
+    lines: [],
+    words: model.words.map(word => ({ ...word, glyphs: word.glyphs.map(moveGlyph) })),
+    marker: model.marker ? { ...model.marker, glyphs: model.marker.glyphs.map(moveGlyph) } : null,
+    end: model.end ? { ...model.end, glyphs: model.end.glyphs.map(moveGlyph) } : null,
+    paths: model.paths.map(path => path.type === 'circle'
+      ? { ...path, cx: moveX(path.cx), cy: moveY(path.cy), r: round(path.r) }
+      : { ...path, points: path.points.map(([x, y]) => [moveX(x), moveY(y)]) })
+  };
+
+  layout.lines = sketchLines(layout);
+
+  return layout;
+}
+
+/**
+ * Approximate a vector layout as text, each glyph on the character cell under its centre
+ * @param {Object} layout - Vector layout model
+ * @returns {string[]} - Text lines
+ */
+function sketchLines(layout) {
+  const rows = [];
+  const glyphs = [
+    ...(layout.marker ? layout.marker.glyphs : []),
+    ...layout.words.flatMap(word => word.glyphs),
+    ...(layout.end ? layout.end.glyphs : [])
+  ];
+
+  glyphs.forEach(glyph => {
+    const [[x0, y0], , [x2, y2]] = glyphCorners(glyph);
+    const row = Math.floor((y0 + y2) / 2 / LINE_HEIGHT);
+    const column = Math.floor((x0 + x2) / 2 / CHAR_WIDTH);
+
+    // The first glyph wins when several fall on the same cell
+    rows[row] = rows[row] || [];
+    if (glyph.width > 0 && rows[row][column] === undefined) {
+      rows[row][column] = glyph.text;
+      if (glyph.width === 2) {
+        rows[row][column + 1] = '';
+      }
+    }
+  });
+
+  return Array.from(rows, (row = []) => Array.from(row, cell => cell === undefined ? ' ' : cell).join('').trimEnd());
+}
+
+module.exports = {
+  CHAR_WIDTH,
+  LINE_HEIGHT,
+  ASCENT,
+  DESCENT,
+  Path,
+  circlePoints,
+  endText,
+  finishLayout,
+  placeText,
+  textLength
+};
\ No newline at end of file
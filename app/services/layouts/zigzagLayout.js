@@ -0,0 +1,130 @@
+/**
+ * Zigzag Layout - Boustrophedon grid: words run left to right on the first row,
+ * right to left on the next one, and so on, joined by a snaking guide line
+ */
+
+const SpiralGenerator = require('../spiralGenerator');
+const { LINE_HEIGHT, DESCENT, Path, endText, finishLayout, placeText, textLength } = require('./vectorLayout');
+
+const ROW_SPACING = LINE_HEIGHT * 1.5;
+const WORD_GAP = 1.2;
+
+// Width to height ratio aimed at, the one of A-series pages in landscape
+const TARGET_RATIO = Math.SQRT2;
+
+// Points sampled on each half turn of the guide line
+const TURN_STEPS = 24;
+
+/**
+ * Split the words into rows of at most a given length
+ * @param {string[]} texts - Marker and words, in order
+ * @param {number} rowLength - Row length, in ems
+ * @returns {Array<Array<Object>>} - Rows of { text, index } where index is the position in texts
+ */
+function fillRows(texts, rowLength) {
+  const rows = [[]];
+  let used = 0;
+
+  texts.forEach((text, index) => {
+    const length = textLength(text);
+
+    if (rows[rows.length - 1].length > 0 && used + length > rowLength) {
+      rows.push([]);
+      used = 0;
+    }
+
+    rows[rows.length - 1].push({ text, index });
+    used += length + WORD_GAP;
+  });
+
+  return rows;
+}
+
+/**
+ * Generate a zigzag layout
+ * @param {string[]} words - Words to place, in order
+ * @param {Object} options - Complete spiral options, marker and endGlyph apply
+ * @returns {Object} - Vector layout model
+ */
+function generate(words, options) {
+  const { marker } = options;
+  const end = endText(options);
+
+  if (words.length === 0) {
+    return finishLayout({ options, words: [], marker: null, end: null, paths: [] });
+  }
+
+  // Rows about as long as needed for the whole grid to match the target ratio
+  const texts = [marker, ...words, ...(end ? [end] : [])];
+  const total = texts.reduce((sum, text) => sum + textLength(text) + WORD_GAP, 0);
+  const rowLength = texts.reduce(
+    (longest, text) => Math.max(longest, textLength(text)),
+    Math.sqrt(total * ROW_SPACING * TARGET_RATIO)
+  );
+  const rows = fillRows(texts, rowLength);
+
+  const placed = [];
+  let markerGlyphs = [];
+  let endGlyphs = null;
+  const guide = [];
+
+  rows.forEach((row, rowIndex) => {
+    const baseline = rowIndex * ROW_SPACING;
+    const rightwards = rowIndex % 2 === 0;
+    const line = new Path([[0, baseline], [rowLength, baseline]]);
+    let offset = rightwards ? 0 : rowLength;
+
+    row.forEach(({ text, index }) => {
+      const length = textLength(text);
+      const start = rightwards ? offset : offset - length;
+      const glyphs = placeText(line, start, text);
+      offset = rightwards ? offset + length + WORD_GAP : offset - length - WORD_GAP;
+
+      if (index === 0) {
+        markerGlyphs = glyphs;
+        return;
+      }
+      if (index > words.length) {
+        endGlyphs = glyphs;
+        return;
+      }
+
+      placed.push({
+        index: index - 1,
+        text,
+        width: SpiralGenerator.textWidth(text),
+        ring: rowIndex,
+        direction: index === 1 ? 'center' : rightwards ? 'right' : 'left',
+        glyphs
+      });
+    });
+
+    // Guide under the row, turning into the next one at the end it reaches
+    const guideY = baseline + DESCENT * 1.5;
+    guide.push(rightwards ? [0, guideY] : [rowLength, guideY]);
+    guide.push(rightwards ? [rowLength, guideY] : [0, guideY]);
+
+    if (rowIndex < rows.length - 1) {
+      const side = rightwards ? 1 : -1;
+      for (let step = 1; step < TURN_STEPS; step++) {
+        const angle = -Math.PI / 2 + Math.PI * step / TURN_STEPS;
+        guide.push([
+          (rightwards ? rowLength : 0) + side * Math.cos(angle) * ROW_SPACING / 2,
+          guideY + ROW_SPACING / 2 + Math.sin(angle) * ROW_SPACING / 2
+        ]);
+      }
+    }
+  });
+
+  return finishLayout({
+    options,
+    words: placed,
+    marker: { text: marker, glyphs: markerGlyphs },
+    end: end ? { text: end, glyphs: endGlyphs } : null,
+    paths: [{ kind: 'guide', type: 'polyline', points: guide }]
+  });
+}
+
+module.exports = {
+  generate
+};
\ No newline at end of file
@@ -0,0 +1,72 @@
+/**
+ * Normalization - Server-side use of the normalizers shared with the pages
+ * Validates raw inputs before normalizing them, for the normalize API and for PDF jobs
+ */
+
+const normalizers = require('../shared/normalizers');
+
+// Limits of a normalization request, shared with the pages
+const { MAX_INPUTS, MAX_INPUT_LENGTH, MAX_TOTAL_LENGTH } = normalizers;
+
+/**
+ * Validate the options of an algorithm and fill in its defaults
+ * @param {string} algorithm - Algorithm id, see normalizers.listAlgorithms
+ * @param {Object} [options] - Algorithm options, e.g. { delimiters } for brackets
+ * @returns {Object} Complete options
+ * @throws {Error} When the algorithm is unknown or the options are invalid
+ */
+function resolveOptions(algorithm, options) {
+  if (!normalizers.getAlgorithm(algorithm)) {
+    throw new Error(`Unknown algorithm "${algorithm}", see GET /api/normalize for the available algorithms`);
+  }
+  
+  try {
+    return normalizers.resolveOptions(algorithm, options);
+  } catch (error) {
+    throw new Error(`Invalid ${algorithm} options: ${error.message}`);
+  }
+}
+
+/**
+ * Normalize a list of raw inputs
+ * @param {string} algorithm - Algorithm id, see normalizers.listAlgorithms
+ * @param {string[]} inputs - Raw strings, as typed in the normalization pages
+ * @param {Object} [options] - Algorithm options, see resolveOptions
+ * @param {boolean} [explain] - Add the trace of the peel steps to each entry, see normalizers.explain
+ * @returns {Array<{original: string, normalized: string, trace?: Object}>} - One entry per input, in order
+ * @throws {Error} When the algorithm is unknown or the inputs or options are invalid
+ */
+function normalizeInputs(algorithm, inputs, options = undefined, explain = false) {
+  const resolvedOptions = resolveOptions(algorithm, options);
+  
+  if (!Array.isArray(inputs) || inputs.length === 0 || inputs.length > MAX_INPUTS) {
+    throw new Error(`Inputs must be a non-empty array of at most ${MAX_INPUTS} strings`);
+  }
+  
+  if (!inputs.every(input => typeof input === 'string' && input.length <= MAX_INPUT_LENGTH)) {
+    throw new Error(`Inputs must be strings of at most ${MAX_INPUT_LENGTH} characters`);
+  }
+  
+  if (inputs.reduce((total, input) => total + input.length, 0) > MAX_TOTAL_LENGTH) {
+    throw new Error(`Inputs must be at most ${MAX_TOTAL_LENGTH} characters in total`);
+  }
+  
+  if (explain) {
+    return inputs.map(input => ({ original: input, ...normalizers.explain(algorithm, input, resolvedOptions) }));
+  }
+  
+  return inputs.map(input => ({
+    original: input,
+    normalized: normalizers.normalize(algorithm, input, resolvedOptions)
+  }));
+}
+
+module.exports = {
+  MAX_INPUTS,
+  MAX_INPUT_LENGTH,
+  MAX_TOTAL_LENGTH,
+  getAlgorithm: normalizers.getAlgorithm,
+  listAlgorithms: normalizers.listAlgorithms,
+  normalizeInputs,
+  resolveOptions
+};
\ No newline at end of file
@@ -0,0 +1,237 @@
+/**
+ * Output Formats - Files a spiral job can produce from the same layout model
+ * Each format renders a layout to a Buffer inside the worker thread
+ */
+
+const PDFDocument = require('pdfkit');
+const fontRegistry = require('./fontRegistry');
+const pdfDocument = require('./pdfDocument');
+const SpiralRenderer = require('./spiralRenderer');
+const SvgRenderer = require('./svgRenderer');
+
+// Resolution of PNG images, in dots per inch
+const PNG_DPI = {
+  default: 150,
+  min: 72,
+  max: 600
+};
+
+// Larger PNG images would exhaust the worker memory
+const MAX_PNG_PIXELS = 50 * 1000 * 1000;
+
+/**
+ * Name of a font as PDFKit knows it, registering embedded fonts on the document
+ * @param {PDFDocument} doc - PDFKit document
+ * @param {Object} font - Font from fontRegistry.getFont
+ * @returns {string} - PDFKit font name
+ */
+function pdfFontName(doc, font) {
+  if (font.builtin) {
+    return font.source;
+  }
+  doc.registerFont(font.id, font.source);
+  return font.id;
+}
+
+/**
+ * Lookup of the fallback font drawing each grapheme the job font lacks, registering it on the document
+ * @param {PDFDocument} doc - PDFKit document
+ * @param {Object} font - Font from fontRegistry.getFont
+ * @returns {Function} - Gives the PDFKit font name of a grapheme, null when the job font draws it
+ */
+function pdfFallbackFont(doc, font) {
+  const names = new Map();
+
+  return grapheme => {
+    const fallback = fontRegistry.getFallbackFont(font, grapheme);
+    if (!fallback) {
+      return null;
+    }
+    if (!names.has(fallback.id)) {
+      names.set(fallback.id, pdfFontName(doc, fallback));
+    }
+    return names.get(fallback.id);
+  };
+}
+
+/**
+ * SVG rendering options matching the job font and theme
+ * @param {Object} font - Font from fontRegistry.getFont
+ * @param {Object} [theme] - Complete theme, the classic theme when missing
+ * @returns {Object} - SvgRenderer options
+ */
+function svgOptions(font, theme = null) {
+  // Measure the real cell width of the font, so words land where the layout expects them
+  const doc = new PDFDocument({ autoFirstPage: false });
+  const metrics = SpiralRenderer.measure(doc, pdfFontName(doc, font));
+
+  return {
+    fontFamily: font.family,
+    fallbackFamilies: fontRegistry.getFallbackFonts().map(fallback => fallback.family),
+    fontWeight: font.weight,
+    cellRatio: metrics.width,
+    theme
+  };
+}
+
+/**
+ * Render a layout as a PDF, fitted or tiled on pages, with metadata, footers,
+ * bookmarks and the source table appendix
+ * @param {Object} layout - Layout model
+ * @param {Object} font - Font from fontRegistry.getFont
+ * @param {Object} options - Output options
+ * @param {Object} [options.details] - Job details: { jobId, title, sourcePage, sourceEntries }
+ * @param {Object} [options.theme] - Complete theme
+ * @returns {Promise<Buffer>} - PDF file
+ */
+function renderPDF(layout, font, options) {
+  const details = options.details || {};
+
+  return new Promise((resolve, reject) => {
+    // Create a new PDF document, pages are added once the spiral has been measured
+    // and kept in memory until the footers, which need the page count, are written
+    const doc = new PDFDocument({
+      autoFirstPage: false,
+      bufferPages: true,
+      displayTitle: true,
+      info: pdfDocument.documentInfo(details, layout)
+    });
+
+    // Collect the PDF in memory
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    // Pick page size, orientation and font size, tiling the spiral when it cannot fit legibly
+    const fontName = pdfFontName(doc, font);
+    const fallbackFont = pdfFallbackFont(doc, font);
+    const plan = SpiralRenderer.renderDocument(doc, layout, {
+      font: fontName,
+      fallbackFont,
+      outlineTitle: 'Spiral',
+      theme: options.theme || null
+    });
+    console.log(`Rendered spiral on ${plan.tiles.length} ${plan.size} ${plan.orientation} page(s) at ${plan.fontSize}pt`);
+
+    const pageOptions = { font: fontName, fallbackFont, margin: SpiralRenderer.DEFAULT_OPTIONS.margin };
+    if (details.sourceEntries && details.sourceEntries.length > 0) {
+      pdfDocument.addAppendix(doc, details.sourceEntries, pageOptions);
+    }
+    pdfDocument.addFooters(doc, details, pageOptions);
+
+    // Finalize the PDF
+    doc.end();
+  });
+}
+
+/**
+ * Render a layout as an SVG image
+ * @param {Object} layout - Layout model
+ * @param {Object} font - Font from fontRegistry.getFont
+ * @param {Object} options - Output options
+ * @param {Object} [options.theme] - Complete theme
+ * @returns {Promise<Buffer>} - SVG file
+ */
+async function renderSVG(layout, font, options) {
+  return Buffer.from(SvgRenderer.render(layout, svgOptions(font, options.theme)), 'utf8');
+}
+
+/**
+ * Render a layout as a PNG image, rasterising its SVG with the bundled fonts
+ * @param {Object} layout - Layout model
+ * @param {Object} font - Font from fontRegistry.getFont
+ * @param {Object} options - Output options
+ * @param {number} [options.dpi] - Resolution of the image
+ * @param {Object} [options.theme] - Complete theme
+ * @returns {Promise<Buffer>} - PNG file
+ * @throws {Error} - When the image would be too large
+ */
+async function renderPNG(layout, font, options) {
+  // Loaded lazily so the native rasteriser is only needed for PNG jobs
+  const { Resvg } = require('@resvg/resvg-js');
+
+  const svg = svgOptions(font, options.theme);
+  const dpi = options.dpi || PNG_DPI.default;
+  const zoom = dpi / 96; // SVG sizes are CSS pixels, 96 per inch
+  const { width, height } = SvgRenderer.imageSize(layout, svg);
+
+  if (width * zoom * height * zoom > MAX_PNG_PIXELS) {
+    throw new Error(`PNG image would be ${Math.round(width * zoom)}x${Math.round(height * zoom)} pixels, use a lower DPI`);
+  }
+
+  const resvg = new Resvg(SvgRenderer.render(layout, svg), {
+    fitTo: { mode: 'zoom', value: zoom },
+    font: {
+      fontFiles: fontRegistry.getFontFiles(),
+      loadSystemFonts: false,
+      defaultFontFamily: font.builtin ? 'DejaVu Sans Mono' : font.family,
+      monospaceFamily: 'DejaVu Sans Mono'
+    }
+  });
+
+  return resvg.render().asPng();
+}
+
+/**
+ * Render a layout as plain text, the same text generateSpiral returns for the rectangular spiral
+ * and a character sketch of the other layouts
+ * @param {Object} layout - Layout model
+ * @returns {Promise<Buffer>} - Text file
+ */
+async function renderText(layout) {
+  return Buffer.from(layout.lines.join('\n') + '\n', 'utf8');
+}
+
+const OUTPUT_FORMATS = {
+  pdf: { extension: 'pdf', contentType: 'application/pdf', render: renderPDF },
+  svg: { extension: 'svg', contentType: 'image/svg+xml', render: renderSVG },
+  png: { extension: 'png', contentType: 'image/png', render: renderPNG },
+  txt: { extension: 'txt', contentType: 'text/plain; charset=utf-8', render: renderText }
+};
+
+/**
+ * Get an output format by id
+ * @param {string} format - Format id: 'pdf', 'svg', 'png' or 'txt'
+ * @returns {Object|null} - { extension, contentType, render }, null if unknown
+ */
+function getOutputFormat(format) {
+  return Object.prototype.hasOwnProperty.call(OUTPUT_FORMATS, format) ? OUTPUT_FORMATS[format] : null;
+}
+
+/**
+ * Name of the stored file of a job
+ * @param {string} jobId - Job ID
+ * @param {string} [format] - Format id, defaults to 'pdf'
+ * @returns {string} - File name with the extension of the format
+ */
+function outputFilename(jobId, format = 'pdf') {
+  // PDFs keep their original file names
+  const prefix = format === 'pdf' ? 'pdf' : 'spiral';
+  return `${prefix}_${jobId}.${getOutputFormat(format).extension}`;
+}
+
+/**
+ * Render a layout in the requested format
+ * @param {string} format - Format id
+ * @param {Object} layout - Layout model
+ * @param {Object} font - Font from fontRegistry.getFont
+ * @param {Object} [options] - Output options, { dpi } for PNG, { details } for PDF and { theme } for all but text
+ * @returns {Promise<Buffer>} - Rendered file
+ * @throws {Error} - When the format is unknown or rendering fails
+ */
+async function renderOutput(format, layout, font, options = {}) {
+  const outputFormat = getOutputFormat(format);
+  if (!outputFormat) {
+    throw new Error(`Unknown output format "${format}"`);
+  }
+  return outputFormat.render(layout, font, options);
+}
+
+module.exports = {
+  FORMATS: Object.keys(OUTPUT_FORMATS),
+  PNG_DPI,
+  getOutputFormat,
+  outputFilename,
+  renderOutput
+};
\ No newline at end of file
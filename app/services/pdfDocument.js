@@ -0,0 +1,193 @@
+/**
+ * PDF Document - Everything around the spiral pages of a PDF:
+ * document metadata, job footer on every page and the source table appendix
+ */
+
+const normalizers = require('../shared/normalizers');
+const SpiralGenerator = require('./spiralGenerator');
+
+const APPENDIX_TITLE = 'Source table';
+const FOOTER_FONT_SIZE = 7;
+const TABLE_FONT_SIZE = 9;
+const TABLE_CELL_PADDING = 4;
+
+/**
+ * Readable name of the page a job was created from
+ * @param {string|null} sourcePage - Page identifier, e.g. 'brackets'
+ * @returns {string|null} - Page name
+ */
+function sourcePageName(sourcePage) {
+  if (!sourcePage) {
+    return null;
+  }
+  
+  // Normalization pages are named after their algorithm
+  const algorithm = normalizers.getAlgorithm(sourcePage);
+  return algorithm ? `${algorithm.name} Normalizer` : sourcePage;
+}
+
+/**
+ * Build the metadata of the PDF document
+ * @param {Object} details - Job details: { jobId, title, sourcePage }
+ * @param {Object} layout - Layout model of the spiral
+ * @returns {Object} - PDFKit info dictionary
+ */
+function documentInfo(details, layout) {
+  const pageName = sourcePageName(details.sourcePage);
+  const title = details.title || (pageName ? `Spiral - ${pageName}` : 'Spiral');
+  const info = {
+    Title: title,
+    Subject: `Spiral of ${layout.words.length} words${pageName ? ` from the ${pageName} page` : ''}`,
+    Creator: 'Async PDF Generator',
+    Keywords: ['spiral', details.sourcePage].filter(Boolean).join(', ')
+  };
+
+  // Custom entries, shown in the document properties of most readers
+  if (details.jobId) {
+    info.JobId = details.jobId;
+  }
+  if (details.sourcePage) {
+    info.SourcePage = details.sourcePage;
+  }
+
+  return info;
+}
+
+/**
+ * Split a text into runs drawn with the same font
+ * @param {string} text - Text to draw
+ * @param {string} font - PDFKit font name
+ * @param {Function|null} fallbackFont - Font of a grapheme the font lacks, see SpiralRenderer.DEFAULT_OPTIONS
+ * @returns {Array<{font: string, text: string}>} - Runs in order
+ */
+function fontRuns(text, font, fallbackFont) {
+  if (!fallbackFont || /^[\x20-\x7E]*$/.test(text)) {
+    return [{ font, text }];
+  }
+
+  const runs = [];
+  SpiralGenerator.graphemes(text).forEach(grapheme => {
+    const runFont = fallbackFont(grapheme) || font;
+    const last = runs[runs.length - 1];
+    if (last && last.font === runFont) {
+      last.text += grapheme;
+    } else {
+      runs.push({ font: runFont, text: grapheme });
+    }
+  });
+  return runs;
+}
+
+/**
+ * Add the appendix listing each original input next to its normalized value
+ * @param {PDFDocument} doc - PDFKit document
+ * @param {Object[]} entries - { original, normalized } rows
+ * @param {Object} options - { font, fallbackFont, margin }
+ */
+function addAppendix(doc, entries, options) {
+  const { font, fallbackFont, margin } = options;
+
+  doc.addPage({ size: 'A4', layout: 'portrait', margin });
+  doc.outline.addItem(APPENDIX_TITLE);
+
+  const left = margin;
+  const width = doc.page.width - margin * 2;
+  const bottom = doc.page.height - margin;
+  const columns = [
+    { header: '#', width: 30 },
+    { header: 'Original', width: (width - 30) / 2 },
+    { header: 'Normalized', width: (width - 30) / 2 }
+  ];
+
+  doc.font(font).fontSize(14).fillColor('#000000')
+    .text(APPENDIX_TITLE, left, margin, { lineBreak: false });
+  let y = margin + 28;
+
+  // Measure a cell in the table font, counting the graphemes of fallback fonts as the cells they fill
+  const measured = text => fontRuns(text, font, fallbackFont)
+    .map(run => run.font === font
+      ? run.text
+      : SpiralGenerator.graphemes(run.text).map(grapheme => 'M'.repeat(Math.max(1, SpiralGenerator.graphemeWidth(grapheme)))).join(''))
+    .join('');
+
+  // Draw one table row, every cell wrapped in its column
+  const drawRow = (cells, background) => {
+    doc.font(font).fontSize(TABLE_FONT_SIZE);
+    const height = Math.max(...cells.map((text, i) =>
+      doc.heightOfString(measured(text), { width: columns[i].width - TABLE_CELL_PADDING * 2 })
+    )) + TABLE_CELL_PADDING * 2;
+
+    // Continue the table on a new page when the row doesn't fit
+    if (y + height > bottom) {
+      doc.addPage({ size: 'A4', layout: 'portrait', margin });
+      y = margin;
+    }
+
+    if (background) {
+      doc.rect(left, y, width, height).fill(background);
+    }
+
+    let x = left;
+    cells.forEach((text, i) => {
+      // Runs in a fallback font continue the text of the cell
+      const runs = fontRuns(text, font, fallbackFont);
+      doc.fillColor('#000000');
+      runs.forEach((run, index) => {
+        const options = { width: columns[i].width - TABLE_CELL_PADDING * 2, continued: index < runs.length - 1 };
+        doc.font(run.font);
+        if (index === 0) {
+          doc.text(run.text, x + TABLE_CELL_PADDING, y + TABLE_CELL_PADDING, options);
+        } else {
+          doc.text(run.text, options);
+        }
+      });
+      doc.font(font);
+      x += columns[i].width;
+    });
+
+    doc.moveTo(left, y + height).lineTo(left + width, y + height)
+      .lineWidth(0.5).strokeColor('#cccccc').stroke();
+    y += height;
+  };
+
+  drawRow(columns.map(column => column.header), '#eeeeee');
+  entries.forEach((entry, index) => {
+    // Empty values are shown as "" like in the spiral
+    drawRow([String(index + 1), entry.original || '""', entry.normalized || '""']);
+  });
+}
+
+/**
+ * Write the job footer on every page: job ID, generation date and page number
+ * Needs a document created with bufferPages: true
+ * @param {PDFDocument} doc - PDFKit document
+ * @param {Object} details - Job details: { jobId, sourcePage }
+ * @param {Object} options - { font, margin }
+ */
+function addFooters(doc, details, options) {
+  const { font, margin } = options;
+  const { start, count } = doc.bufferedPageRange();
+  const generatedAt = new Date().toISOString().replace('T', ' ').slice(0, 16);
+  const pageName = sourcePageName(details.sourcePage);
+
+  for (let i = start; i < start + count; i++) {
+    doc.switchToPage(i);
+
+    const footer = [
+      details.jobId ? `Job ${details.jobId}` : null,
+      `generated ${generatedAt} UTC`,
+      pageName ? `from ${pageName}` : null,
+      `page ${i - start + 1} of ${count}`
+    ].filter(Boolean).join(' - ');
+
+    // Below the tile index of tiled spiral pages
+    doc.font(font).fontSize(FOOTER_FONT_SIZE).fillColor('#666666')
+      .text(footer, margin, doc.page.height - margin / 2, { lineBreak: false });
+  }
+}
+
+module.exports = {
+  addAppendix,
+  addFooters,
+  documentInfo
+};
\ No newline at end of file
@@ -1,149 +1,206 @@
 /**
- * PDF Worker - Handles PDF generation in a separate thread
+ * PDF Worker - Handles PDF (and SVG, PNG, text) generation in a separate thread
  * This prevents blocking the main event loop during CPU-intensive PDF creation
  */
 
 const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
-const PDFDocument = require('pdfkit');
-const fs = require('fs');
-const path = require('path');
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
-const SpiralGenerator = require('./spiralGenerator');
+const fontRegistry = require('./fontRegistry');
+const layouts = require('./layouts');
+const outputFormats = require('./outputFormats');
 
 if (isMainThread) {
+  const { getStorage } = require('./storage');
+
   // Main thread - exports the async PDF generation function
-  class PDFWorkerService {
-    constructor() {
-      this.pdfStorageDir = path.join(__dirname, '..', 'pdfs');
-      this.ensureStorageDirectory();
+
+  /**
+   * Error raised when a worker fails to produce a PDF
+   * retryable is false when running the same job again would fail the same way
+   */
+  class PDFWorkerError extends Error {
+    constructor(message, retryable = true) {
+      super(message);
+      this.name = 'PDFWorkerError';
+      this.retryable = retryable;
     }
+  }
 
+  class PDFWorkerService {
     /**
-     * Ensure the PDF storage directory exists
+     * @param {Object} [options] - Service options
+     * @param {Object} [options.storage] - Storage driver for generated PDFs, defaults to the configured one
      */
-    ensureStorageDirectory() {
-      if (!fs.existsSync(this.pdfStorageDir)) {
-        fs.mkdirSync(this.pdfStorageDir, { recursive: true });
-      }
+    constructor(options = {}) {
+      this.storage = options.storage || getStorage();
+      this.activeWorkers = new Map();
     }
 
     /**
      * Generate PDF in a worker thread (non-blocking)
-     * @param {string} content - Text content to convert to PDF
+     * @param {string|string[]} content - Comma-separated words to convert to PDF, or a list of words
      * @param {string} jobId - Job ID for unique filename
-     * @returns {Promise<string>} Promise that resolves to the filename of generated PDF
+     * @param {Object} [options] - Generation options
+     * @param {number} [options.timeout] - Hard timeout in ms after which the worker is terminated
+     * @param {string} [options.layout] - Layout id, defaults to the rectangular spiral
+     * @param {Object} [options.spiralOptions] - Spiral layout options passed to the generator
+     * @param {string} [options.font] - Font id, defaults to the configured default font
+     * @param {Object} [options.theme] - Complete theme, defaults to the classic theme
+     * @param {string} [options.format] - Output format: 'pdf' (default), 'svg', 'png' or 'txt'
+     * @param {number} [options.dpi] - Resolution of PNG output
+     * @param {Object} [options.details] - Job details shown in PDFs: { title, sourcePage, sourceEntries }
+     * @returns {Promise<{filename: string, checksum: string}>} Promise that resolves to the filename and SHA-256 checksum of generated file
+     * @throws {PDFWorkerError} When the worker fails, flagged as retryable or not
      */
-    async generatePDFAsync(content, jobId) {
+    async generatePDFAsync(content, jobId, options = {}) {
       return new Promise((resolve, reject) => {
-        const filename = `pdf_${jobId}.pdf`;
+        const format = options.format || 'pdf';
+        const filename = outputFormats.outputFilename(jobId, format);
+        let timeoutId = null;
         
         // Create worker thread
         const worker = new Worker(__filename, {
           workerData: { 
-            content, 
-            filename,
-            pdfStorageDir: this.pdfStorageDir
+            content,
+            layout: options.layout || layouts.DEFAULT_LAYOUT,
+            spiralOptions: options.spiralOptions || {},
+            font: options.font || fontRegistry.getDefaultFont(),
+            theme: options.theme || null,
+            format,
+            dpi: options.dpi || null,
+            details: { ...options.details, jobId }
           }
         });
         
+        // Stop tracking the worker once it has settled
+        const release = () => {
+          clearTimeout(timeoutId);
+          this.activeWorkers.delete(jobId);
+        };
+        
+        // Track the worker so the job can be cancelled while it runs
+        this.activeWorkers.set(jobId, { worker, filename, reject, release });
+        
+        // Kill hung workers, a timeout is worth retrying
+        if (options.timeout) {
+          timeoutId = setTimeout(() => {
+            release();
+            reject(new PDFWorkerError(`Worker timed out after ${options.timeout}ms`));
+            worker.terminate();
+          }, options.timeout);
+        }
+        
         // Handle worker messages
-        worker.on('message', (result) => {
+        worker.on('message', async (result) => {
+          release();
           if (result.success) {
-            resolve(result.filename);
+            try {
+              // The worker only renders the file, the configured storage keeps it
+              const data = Buffer.from(result.data.buffer, result.data.byteOffset, result.data.byteLength);
+              await this.storage.save(filename, data, outputFormats.getOutputFormat(format).contentType);
+              resolve({ filename, checksum: result.checksum });
+            } catch (error) {
+              reject(new PDFWorkerError(`Failed to store PDF file: ${error.message}`));
+            }
           } else {
-            reject(new Error(result.error));
+            reject(new PDFWorkerError(result.error, result.retryable !== false));
           }
         });
         
         // Handle worker errors
         worker.on('error', (error) => {
-          reject(new Error(`Worker error: ${error.message}`));
+          release();
+          reject(new PDFWorkerError(`Worker error: ${error.message}`));
         });
         
         // Handle worker exit
         worker.on('exit', (code) => {
+          release();
           if (code !== 0) {
-            reject(new Error(`Worker stopped with exit code ${code}`));
+            reject(new PDFWorkerError(`Worker stopped with exit code ${code}`));
           }
         });
       });
     }
 
+    /**
+     * Cancel a running PDF generation by terminating its worker
+     * PDFs are stored only once fully rendered, so no partial file is left behind
+     * @param {string} jobId - Job ID of the running generation
+     * @returns {Promise<boolean>} True if a running worker was cancelled
+     */
+    async cancel(jobId) {
+      const active = this.activeWorkers.get(jobId);
+      if (!active) {
+        return false;
+      }
+      
+      active.release();
+      
+      // Reject first so the pending generatePDFAsync call reports the cancellation, not the exit code
+      const error = new PDFWorkerError('Job cancelled', false);
+      error.cancelled = true;
+      active.reject(error);
+      
+      await active.worker.terminate();
+      
+      return true;
+    }
+
     /**
      * Check if a PDF file exists in storage
      * @param {string} filename - Name of the PDF file
-     * @returns {boolean} True if file exists, false otherwise
+     * @returns {Promise<boolean>} True if file exists, false otherwise
      */
-    fileExists(filename) {
-      const filePath = path.join(this.pdfStorageDir, filename);
-      return fs.existsSync(filePath);
+    async fileExists(filename) {
+      return this.storage.exists(filename);
     }
 
     /**
-     * Get the full path to a PDF file
+     * Delete a PDF file from storage if it exists
      * @param {string} filename - Name of the PDF file
-     * @returns {string} Full path to the PDF file
      */
-    getFilePath(filename) {
-      return path.join(this.pdfStorageDir, filename);
+    async deleteFile(filename) {
+      try {
+        await this.storage.delete(filename);
+      } catch (error) {
+        console.error(`Failed to delete PDF file ${filename}:`, error);
+      }
     }
   }
 
+  PDFWorkerService.PDFWorkerError = PDFWorkerError;
+
   module.exports = PDFWorkerService;
 
 } else {
-  // Worker thread - handles the actual PDF generation
-  const { content, filename, pdfStorageDir } = workerData;
+  // Worker thread - handles the actual rendering
+  const { content, layout: layoutId, spiralOptions, font, theme, format, dpi, details } = workerData;
   
-  try {
-    const filePath = path.join(pdfStorageDir, filename);
-
-    // Generate spiral layout for PDF content
-    const processedContent = SpiralGenerator.generateSpiral(content);
-    console.log('Generated spiral layout for PDF');
-
-    // Create a new PDF document
-    const doc = new PDFDocument();
-    
-    // Create write stream
-    const stream = fs.createWriteStream(filePath);
-    doc.pipe(stream);
-
-    // Add content to the PDF with monospace font (spiral layout)
-    doc.font('Courier')
-       .fontSize(8) // Smaller font for spiral to fit better
-       .text(processedContent, 50, 50, {
-         width: 500,
-         align: 'center',
-         lineGap: 1
-       });
-
-    // Finalize the PDF
-    doc.end();
+  (async () => {
+    // Generate the layout model of the content with the job's algorithm, the theme may replace the snail
+    const layoutOptions = theme && theme.end.glyph ? { ...spiralOptions, endGlyph: theme.end.glyph } : spiralOptions;
+    const layout = layouts.generateLayout(layoutId, content, layoutOptions);
+    console.log(`Generated ${layoutId} layout for ${format.toUpperCase()}`);
 
-    // Handle stream events
-    stream.on('finish', () => {
-      // Send success message back to main thread
-      parentPort.postMessage({
-        success: true,
-        filename: filename,
-        filePath: filePath
-      });
-    });
+    const outputFont = fontRegistry.getFont(font);
+    if (!outputFont) {
+      throw new Error(`Unknown font "${font}"`);
+    }
 
-    stream.on('error', (error) => {
-      // Send error message back to main thread
-      parentPort.postMessage({
-        success: false,
-        error: `Failed to write PDF file: ${error.message}`
-      });
-    });
+    // Render in memory and compute the SHA-256 checksum of the file
+    const data = await outputFormats.renderOutput(format, layout, outputFont, { dpi, details, theme });
+    const checksum = crypto.createHash('sha256').update(data).digest('hex');
 
-  } catch (error) {
-    // Send error message back to main thread
+    // Send the rendered file back to main thread, which stores it
+    parentPort.postMessage({ success: true, data, checksum });
+  })().catch((error) => {
+    // Send error message back to main thread, the same content would fail again
     parentPort.postMessage({
       success: false,
-      error: `PDF generation failed: ${error.message}`
+      error: `${format.toUpperCase()} generation failed: ${error.message}`,
+      retryable: false
     });
-  }
+  });
 }
\ No newline at end of file
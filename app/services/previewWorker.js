@@ -0,0 +1,131 @@
+/**
+ * Preview Worker - Generates spiral previews in a separate thread
+ * Vector layouts take hundreds of milliseconds for a few hundred words, which would block
+ * the event loop (status polls, Server-Sent Events, job claims) if run on the request thread
+ */
+
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+const layouts = require('./layouts');
+const SvgRenderer = require('./svgRenderer');
+
+if (isMainThread) {
+  // Main thread - exports the async preview generation function
+
+  /**
+   * Error raised when a preview cannot be generated
+   * status is the HTTP status the preview route answers with
+   */
+  class PreviewError extends Error {
+    constructor(message, status) {
+      super(message);
+      this.name = 'PreviewError';
+      this.status = status;
+    }
+  }
+
+  class PreviewWorkerService {
+    /**
+     * @param {Object} [options] - Service options
+     * @param {number} [options.maxWorkers] - Previews generated at the same time, others are refused
+     * @param {number} [options.timeout] - Time in ms after which a preview worker is terminated
+     */
+    constructor(options = {}) {
+      this.maxWorkers = options.maxWorkers || parseInt(process.env.PREVIEW_MAX_WORKERS, 10) || 2;
+      this.timeout = options.timeout || parseInt(process.env.PREVIEW_TIMEOUT, 10) || 5000; // 5 seconds
+      this.activeWorkers = 0;
+    }
+
+    /**
+     * Generate a preview in a worker thread (non-blocking)
+     * @param {string|string[]} input - Comma-separated words, or a list of words
+     * @param {Object} options - Preview options
+     * @param {string} [options.layout] - Layout id, defaults to the rectangular spiral
+     * @param {Object} options.spiralOptions - Complete spiral options, including the theme end glyph
+     * @param {Object} options.theme - Complete theme
+     * @param {boolean} [options.themed] - Render grid layouts as SVG too, vector layouts always are
+     * @param {string[]} [options.fallbackFamilies] - Font families used for glyphs missing from the main font
+     * @returns {Promise<string>} JSON of the preview { text, svg, layout }, serialized in the worker as well
+     * @throws {PreviewError} When all workers are busy (503), the preview times out (413) or the input is invalid (400)
+     */
+    async generatePreviewAsync(input, options) {
+      if (this.activeWorkers >= this.maxWorkers) {
+        throw new PreviewError('Too many previews are being generated, try again shortly', 503);
+      }
+
+      this.activeWorkers++;
+
+      return new Promise((resolve, reject) => {
+        let settled = false;
+
+        const worker = new Worker(__filename, {
+          workerData: {
+            input,
+            layout: options.layout || layouts.DEFAULT_LAYOUT,
+            spiralOptions: options.spiralOptions,
+            theme: options.theme,
+            themed: Boolean(options.themed),
+            fallbackFamilies: options.fallbackFamilies || []
+          }
+        });
+
+        // Settle once and free the slot, whatever ends the worker first
+        const settle = (callback, value) => {
+          if (settled) {
+            return;
+          }
+          settled = true;
+          clearTimeout(timeoutId);
+          this.activeWorkers--;
+          callback(value);
+        };
+
+        const timeoutId = setTimeout(() => {
+          settle(reject, new PreviewError(`Preview took longer than ${this.timeout}ms, generate a file instead`, 413));
+          worker.terminate();
+        }, this.timeout);
+
+        worker.on('message', (result) => {
+          if (result.success) {
+            settle(resolve, result.body);
+          } else {
+            settle(reject, new PreviewError(result.error, 400));
+          }
+        });
+
+        worker.on('error', (error) => {
+          settle(reject, new PreviewError(`Worker error: ${error.message}`, 500));
+        });
+
+        worker.on('exit', (code) => {
+          settle(reject, new PreviewError(`Worker stopped with exit code ${code}`, 500));
+        });
+      });
+    }
+  }
+
+  PreviewWorkerService.PreviewError = PreviewError;
+
+  module.exports = PreviewWorkerService;
+
+} else {
+  // Worker thread - generates the layout and its SVG
+  const { input, layout: layoutId, spiralOptions, theme, themed, fallbackFamilies } = workerData;
+
+  try {
+    const layout = layouts.generateLayout(layoutId, input, spiralOptions);
+
+    // Text can't show words along curves or colours, vector and themed layouts also come as an image
+    const svg = layout.type === 'vector' || themed;
+
+    parentPort.postMessage({
+      success: true,
+      body: JSON.stringify({
+        text: layout.lines.join('\n'),
+        svg: svg ? SvgRenderer.render(layout, { theme, fallbackFamilies }) : null,
+        layout
+      })
+    });
+  } catch (error) {
+    parentPort.postMessage({ success: false, error: `Invalid spiral options: ${error.message}` });
+  }
+}
\ No newline at end of file
@@ -1,119 +1,486 @@
 const PDFJob = require('../models/PDFJob');
 const PDFWorkerService = require('./pdfWorker');
-const path = require('path');
+const WebhookService = require('./webhookService');
+const jobEvents = require('./jobEvents');
+const os = require('os');
 
 class QueueProcessor {
-  constructor() {
+  /**
+   * @param {Object} [options] - Processor options
+   * @param {number} [options.concurrency] - Maximum number of jobs processed at the same time
+   * @param {string} [options.instanceId] - Identifier of this processor instance
+   * @param {number} [options.maxAttempts] - Attempts before a job is moved to dead-letter
+   * @param {number} [options.retryBaseDelay] - Delay in ms before the first retry, doubled on every attempt
+   * @param {number} [options.leaseDuration] - Lease in ms on a claimed job, renewed by heartbeat while it runs
+   * @param {number} [options.jobTimeout] - Hard timeout in ms after which a worker is terminated
+   */
+  constructor(options = {}) {
     this.pdfWorker = new PDFWorkerService();
-    this.isProcessing = false;
-    this.pollingInterval = 5000; // 5 seconds
-    this.intervalId = null;
+    this.webhookService = new WebhookService();
+    this.concurrency = options.concurrency || parseInt(process.env.QUEUE_CONCURRENCY, 10) || 2;
+    this.instanceId = options.instanceId || process.env.INSTANCE_ID || `${os.hostname()}-${process.pid}`;
+    this.maxAttempts = options.maxAttempts || parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || 3;
+    this.retryBaseDelay = options.retryBaseDelay || parseInt(process.env.JOB_RETRY_BASE_DELAY, 10) || 5000; // 5 seconds
+    this.retryMaxDelay = 5 * 60 * 1000; // 5 minutes
+    this.retryTimers = new Set();
+    this.leaseDuration = options.leaseDuration || parseInt(process.env.JOB_LEASE_DURATION, 10) || 30000; // 30 seconds
+    this.heartbeatInterval = Math.floor(this.leaseDuration / 3);
+    this.jobTimeout = options.jobTimeout || parseInt(process.env.JOB_TIMEOUT, 10) || 120000; // 2 minutes
+    this.reaperIntervalId = null;
+    this.activeJobs = new Set();
+    this.isClaiming = false;
+    this.rescanRequested = false;
+    // Polling picks up jobs created by other instances while no change stream is open,
+    // with a change stream it is only a fallback sweep for events that were missed
+    this.pollingInterval = parseInt(process.env.QUEUE_POLLING_INTERVAL, 10) || 5000; // 5 seconds
+    this.streamPollingInterval = parseInt(process.env.QUEUE_STREAM_POLLING_INTERVAL, 10) || 30000; // 30 seconds
+    this.pollTimeoutId = null;
+    this.changeStream = null;
+    // A failed change stream is reopened after a delay doubled on every failure
+    this.watchRetryBaseDelay = 1000; // 1 second
+    this.watchRetryMaxDelay = 60000; // 1 minute
+    this.watchFailures = 0;
+    this.watchRetryTimeoutId = null;
+    this.onJobCreated = () => this.processPendingJobs();
+    this.onJobCancelled = (jobId) => this.cancelJob(jobId);
   }
 
   /**
    * Start the queue processor with polling mechanism
    */
   start() {
-    if (this.intervalId) {
+    if (this.pollTimeoutId) {
       console.log('Queue processor is already running');
       return;
     }
 
-    console.log('Starting PDF queue processor with Worker Threads...');
+    console.log(`Starting PDF queue processor ${this.instanceId} with Worker Threads...`);
+    
+    // Dispatch jobs created by this instance as soon as they are saved
+    jobEvents.on('jobCreated', this.onJobCreated);
+    jobEvents.on('jobCancelled', this.onJobCancelled);
+    
+    // Set up polling sweep
+    this.schedulePoll();
+    
+    // Dispatch jobs created by other instances through a MongoDB change stream
+    this.watchPendingJobs();
     
     // Process any existing jobs immediately
-    this.processNextJob();
+    this.processPendingJobs();
+    
+    // Requeue jobs left behind by crashed or hung instances
+    this.reaperIntervalId = setInterval(() => {
+      this.reapExpiredLeases();
+    }, this.leaseDuration);
     
-    // Set up polling interval
-    this.intervalId = setInterval(() => {
-      this.processNextJob();
-    }, this.pollingInterval);
+    // Deliver webhooks that are due, including those left pending before a restart
+    this.webhookService.start();
     
-    console.log(`Queue processor started with ${this.pollingInterval}ms polling interval`);
+    console.log(`Queue processor started with ${this.pollingInterval}ms polling interval (${this.streamPollingInterval}ms with a change stream) and concurrency ${this.concurrency}`);
   }
 
   /**
    * Stop the queue processor
    */
   stop() {
-    if (this.intervalId) {
-      clearInterval(this.intervalId);
-      this.intervalId = null;
+    if (this.pollTimeoutId) {
+      clearTimeout(this.pollTimeoutId);
+      clearInterval(this.reaperIntervalId);
+      clearTimeout(this.watchRetryTimeoutId);
+      this.pollTimeoutId = null;
+      this.reaperIntervalId = null;
+      this.watchRetryTimeoutId = null;
+      jobEvents.off('jobCreated', this.onJobCreated);
+      jobEvents.off('jobCancelled', this.onJobCancelled);
+      this.closeChangeStream();
+      this.retryTimers.forEach(timer => clearTimeout(timer));
+      this.retryTimers.clear();
+      this.webhookService.stop();
       console.log('Queue processor stopped');
     }
   }
 
   /**
-   * Process the next pending job in FIFO order
+   * Schedule the next polling sweep, less often while a change stream reports new jobs
+   */
+  schedulePoll() {
+    clearTimeout(this.pollTimeoutId);
+    this.pollTimeoutId = setTimeout(() => {
+      this.processPendingJobs();
+      this.schedulePoll();
+    }, this.changeStream ? this.streamPollingInterval : this.pollingInterval);
+  }
+
+  /**
+   * Watch the PDFJob collection for jobs becoming pending.
+   * Change streams require a replica set: on a standalone MongoDB the stream errors out
+   * and the processor keeps working with in-process events and the polling sweep,
+   * trying to reopen the stream with exponential backoff.
+   */
+  watchPendingJobs() {
+    this.watchRetryTimeoutId = null;
+
+    try {
+      const changeStream = PDFJob.watch([
+        {
+          $match: {
+            $or: [
+              { operationType: 'insert' },
+              { 'updateDescription.updatedFields.status': 'pending' }
+            ]
+          }
+        }
+      ]);
+      this.changeStream = changeStream;
+
+      changeStream.on('change', () => {
+        // The stream works, the next failure starts the backoff over
+        this.watchFailures = 0;
+        this.processPendingJobs();
+      });
+
+      changeStream.on('error', (error) => {
+        if (this.changeStream !== changeStream) {
+          return; // Already replaced or closed
+        }
+        this.closeChangeStream();
+        this.retryWatch(error);
+      });
+    } catch (error) {
+      this.changeStream = null;
+      this.retryWatch(error);
+    }
+
+    if (this.pollTimeoutId) {
+      this.schedulePoll();
+    }
+  }
+
+  /**
+   * Poll at the short interval until the change stream is reopened after the backoff delay
+   * @param {Error} error - Error that closed the change stream
+   */
+  retryWatch(error) {
+    if (!this.pollTimeoutId || this.watchRetryTimeoutId) {
+      return; // Stopped, or a retry is already scheduled
+    }
+
+    const delay = Math.min(this.watchRetryBaseDelay * Math.pow(2, this.watchFailures), this.watchRetryMaxDelay);
+    this.watchFailures++;
+    console.warn(`Change stream unavailable, polling every ${this.pollingInterval}ms and retrying in ${delay}ms: ${error.message}`);
+
+    // Jobs created meanwhile on other instances were not announced
+    this.processPendingJobs();
+    this.schedulePoll();
+
+    this.watchRetryTimeoutId = setTimeout(() => this.watchPendingJobs(), delay);
+  }
+
+  /**
+   * Close the change stream if it is open
+   */
+  closeChangeStream() {
+    if (this.changeStream) {
+      this.changeStream.close().catch(() => {});
+      this.changeStream = null;
+    }
+  }
+
+  /**
+   * Claim pending jobs in FIFO order until all worker slots are busy
    */
-  async processNextJob() {
-    // Prevent concurrent processing
-    if (this.isProcessing) {
+  async processPendingJobs() {
+    // Only one claiming loop at a time, the jobs themselves run in parallel
+    if (this.isClaiming) {
+      // Make the running loop look again before it gives up
+      this.rescanRequested = true;
       return;
     }
 
     try {
-      this.isProcessing = true;
+      this.isClaiming = true;
+
+      while (this.activeJobs.size < this.concurrency) {
+        this.rescanRequested = false;
+
+        // Atomically claim the oldest pending job (FIFO order)
+        const job = await PDFJob.claimNextPendingJob(this.instanceId, this.leaseDuration);
 
-      // Find the oldest pending job (FIFO order)
-      const pendingJob = await PDFJob.findOne({ status: 'pending' })
-        .sort({ createdAt: 1 });
+        if (!job) {
+          // A job may have been announced while the query was running
+          if (this.rescanRequested) {
+            continue;
+          }
 
-      if (!pendingJob) {
-        // No pending jobs, nothing to do
+          // No pending jobs, nothing to do
+          break;
+        }
+
+        this.emitStatus(job);
+
+        // Run the job without awaiting it so the next slot can be filled
+        this.processJob(job);
+      }
+
+    } catch (error) {
+      console.error('Error in queue processor:', error);
+    } finally {
+      this.isClaiming = false;
+    }
+  }
+
+  /**
+   * Process a single claimed job in a worker thread
+   * @param {Object} job - PDFJob document already marked as processing
+   */
+  async processJob(job) {
+    this.activeJobs.add(job.jobId);
+
+    console.log(`Processing job ${job.jobId} in worker thread (${this.activeJobs.size}/${this.concurrency} slots busy)...`);
+
+    // Keep the lease alive while the worker runs
+    const heartbeatId = this.startHeartbeat(job.jobId);
+
+    try {
+      // Word-list jobs keep every word as one spiral cell
+      const input = job.words && job.words.length > 0 ? job.words : job.content;
+      
+      // Generate the PDF using worker thread (non-blocking)
+      const { filename, checksum } = await this.pdfWorker.generatePDFAsync(input, job.jobId, {
+        timeout: this.jobTimeout,
+        layout: job.layout,
+        spiralOptions: job.spiralOptions,
+        font: job.font,
+        theme: job.theme,
+        format: job.format,
+        dpi: job.dpi,
+        details: {
+          title: job.title,
+          sourcePage: job.sourcePage,
+          sourceEntries: (job.sourceEntries || []).map(({ original, normalized }) => ({ original, normalized }))
+        }
+      });
+      
+      // Update job status to completed with file path, unless it was cancelled or reaped meanwhile
+      const completedJob = await PDFJob.updateProcessingJob(job.jobId, this.instanceId, {
+        $set: { status: 'completed', filePath: filename, checksum, ...this.getCallbackFields(job) }
+      });
+      
+      if (!completedJob) {
+        await this.pdfWorker.deleteFile(filename);
+        console.log(`Job ${job.jobId} was cancelled or lost its lease before completion, file discarded`);
+        return;
+      }
+      
+      this.emitStatus(completedJob);
+      
+      console.log(`Job ${job.jobId} completed successfully in worker thread. File: ${filename}`);
+      
+    } catch (pdfError) {
+      if (pdfError.cancelled) {
+        console.log(`Job ${job.jobId} cancelled or lease lost, worker terminated`);
         return;
       }
+      
+      try {
+        await this.handleJobFailure(job, pdfError);
+      } catch (error) {
+        console.error(`Error updating failed job ${job.jobId}:`, error);
+      }
+    } finally {
+      clearInterval(heartbeatId);
+      this.activeJobs.delete(job.jobId);
 
-      console.log(`Processing job ${pendingJob.jobId} in worker thread...`);
+      // A slot has been freed, pick up the next pending job right away
+      this.processPendingJobs();
+    }
+  }
 
-      // Update job status to processing
-      await pendingJob.updateStatus('processing');
+  /**
+   * Notify status subscribers (e.g. Server-Sent Events streams) of a job transition,
+   * and the client callback URL once the job has completed or failed
+   * @param {Object} job - PDFJob document after the transition
+   */
+  emitStatus(job) {
+    jobEvents.emit('jobStatus', job.toStatusResponse());
 
+    if (job.callbackNextAttemptAt && ['completed', 'failed', 'dead-letter'].includes(job.status)) {
+      // Delivery runs in the background, it must not hold the worker slot
+      this.webhookService.processDueDeliveries();
+    }
+  }
+
+  /**
+   * Fields scheduling the webhook of a job that reaches a final status.
+   * They are stored with the status itself so the delivery is not lost if the instance stops right after.
+   * @param {Object} job - PDFJob document with its callbackUrl
+   * @returns {Object} Fields to $set along with the final status
+   */
+  getCallbackFields(job) {
+    return job.callbackUrl && this.webhookService.isEnabled() ? { callbackNextAttemptAt: new Date() } : {};
+  }
+
+  /**
+   * Periodically renew the lease of a running job.
+   * If the lease cannot be renewed the job was cancelled or requeued elsewhere, so the worker is stopped.
+   * @param {string} jobId - Job ID of the running job
+   * @returns {NodeJS.Timeout} Interval ID to clear when the job finishes
+   */
+  startHeartbeat(jobId) {
+    return setInterval(async () => {
       try {
-        // Generate the PDF using worker thread (non-blocking)
-        const filename = await this.pdfWorker.generatePDFAsync(pendingJob.content, pendingJob.jobId);
-        
-        // Update job status to completed with file path
-        await pendingJob.updateStatus('completed', filename);
-        
-        console.log(`Job ${pendingJob.jobId} completed successfully in worker thread. File: ${filename}`);
-        
-      } catch (pdfError) {
-        // PDF generation failed, update job status to failed
-        const errorMessage = `PDF generation failed: ${pdfError.message}`;
-        await pendingJob.updateStatus('failed', null, errorMessage);
-        
-        console.error(`Job ${pendingJob.jobId} failed in worker thread:`, errorMessage);
+        const renewed = await PDFJob.renewLease(jobId, this.instanceId, this.leaseDuration);
+
+        if (!renewed) {
+          console.warn(`Lost lease on job ${jobId}, terminating worker`);
+          await this.pdfWorker.cancel(jobId);
+        }
+      } catch (error) {
+        console.error(`Error renewing lease of job ${jobId}:`, error);
       }
+    }, this.heartbeatInterval);
+  }
+
+  /**
+   * Stop the worker of a cancelled job if it runs on this instance
+   * @param {string} jobId - Job ID that has been cancelled
+   */
+  async cancelJob(jobId) {
+    if (!this.activeJobs.has(jobId)) {
+      return;
+    }
 
+    try {
+      await this.pdfWorker.cancel(jobId);
     } catch (error) {
-      console.error('Error in queue processor:', error);
-    } finally {
-      this.isProcessing = false;
+      console.error(`Error cancelling job ${jobId}:`, error);
     }
   }
 
   /**
-   * Resume processing of jobs that were in 'processing' state during system restart
+   * Record a failed attempt and decide whether the job is retried, failed or dead-lettered
+   * @param {Object} job - PDFJob document whose attempt just failed
+   * @param {Error} pdfError - Error raised by the PDF worker
    */
-  async resumeProcessingJobs() {
+  async handleJobFailure(job, pdfError) {
+    const errorMessage = `PDF generation failed: ${pdfError.message}`;
+    const retryable = pdfError.retryable !== false;
+    const update = {
+      $set: { errorMessage },
+      $push: {
+        errorHistory: {
+          attempt: job.attempts,
+          message: errorMessage,
+          retryable,
+          failedAt: new Date()
+        }
+      }
+    };
+    let delay = null;
+
+    if (!retryable) {
+      // Permanent error, retrying would fail the same way
+      update.$set.status = 'failed';
+      Object.assign(update.$set, this.getCallbackFields(job));
+    } else if (job.attempts >= this.maxAttempts) {
+      // Transient error but no attempts left
+      update.$set.status = 'dead-letter';
+      Object.assign(update.$set, this.getCallbackFields(job));
+    } else {
+      // Transient error, put the job back in the queue after the backoff delay
+      delay = this.getRetryDelay(job.attempts);
+      update.$set.status = 'pending';
+      update.$set.nextRetryAt = new Date(Date.now() + delay);
+    }
+
+    const updatedJob = await PDFJob.updateProcessingJob(job.jobId, this.instanceId, update);
+
+    if (!updatedJob) {
+      console.log(`Job ${job.jobId} was cancelled or lost its lease while failing, failure not recorded`);
+      return;
+    }
+
+    this.emitStatus(updatedJob);
+
+    if (delay !== null) {
+      this.scheduleRetry(delay);
+      console.warn(`Job ${job.jobId} attempt ${job.attempts}/${this.maxAttempts} failed, retrying in ${delay}ms:`, errorMessage);
+    } else if (updatedJob.status === 'dead-letter') {
+      console.error(`Job ${job.jobId} moved to dead-letter after ${job.attempts} attempts:`, errorMessage);
+    } else {
+      console.error(`Job ${job.jobId} failed permanently in worker thread:`, errorMessage);
+    }
+  }
+
+  /**
+   * Exponential backoff delay for the next retry
+   * @param {number} attempts - Number of attempts already made
+   * @returns {number} Delay in milliseconds
+   */
+  getRetryDelay(attempts) {
+    return Math.min(this.retryBaseDelay * Math.pow(2, attempts - 1), this.retryMaxDelay);
+  }
+
+  /**
+   * Wake up the processor when a retry becomes due
+   * @param {number} delay - Delay in milliseconds
+   */
+  scheduleRetry(delay) {
+    const timer = setTimeout(() => {
+      this.retryTimers.delete(timer);
+      this.processPendingJobs();
+    }, delay);
+    this.retryTimers.add(timer);
+  }
+
+  /**
+   * Requeue jobs whose lease has expired because their owner crashed or stopped renewing it.
+   * Jobs held by healthy instances keep a fresh lease and are left alone.
+   */
+  async reapExpiredLeases() {
     try {
-      // Find jobs that were in processing state (likely due to system restart)
-      const processingJobs = await PDFJob.find({ status: 'processing' });
+      const expiredJobs = await PDFJob.find(PDFJob.expiredLeaseFilter())
+        .select('jobId attempts claimedBy callbackUrl');
       
-      if (processingJobs.length > 0) {
-        console.log(`Found ${processingJobs.length} jobs in processing state, resetting to pending...`);
+      for (const job of expiredJobs) {
+        const errorMessage = `Lease of ${job.claimedBy || 'unknown instance'} expired`;
+        const exhausted = job.attempts >= this.maxAttempts;
         
-        // Reset them back to pending so they can be processed again
-        await PDFJob.updateMany(
-          { status: 'processing' },
-          { status: 'pending' }
+        // Re-check the expiry atomically, the owner may have renewed it in the meantime
+        const reapedJob = await PDFJob.findOneAndUpdate(
+          { ...PDFJob.expiredLeaseFilter(), jobId: job.jobId },
+          {
+            $set: {
+              status: exhausted ? 'dead-letter' : 'pending',
+              errorMessage,
+              claimedBy: null,
+              leaseExpiresAt: null,
+              ...(exhausted ? this.getCallbackFields(job) : {})
+            },
+            $push: {
+              errorHistory: {
+                attempt: job.attempts,
+                message: errorMessage,
+                retryable: true,
+                failedAt: new Date()
+              }
+            }
+          },
+          { new: true }
         );
         
-        console.log('Processing jobs reset to pending status');
+        if (reapedJob) {
+          this.emitStatus(reapedJob);
+          console.log(`${errorMessage}, job ${job.jobId} moved to ${reapedJob.status}`);
+        }
+      }
+      
+      if (expiredJobs.length > 0) {
+        this.processPendingJobs();
       }
     } catch (error) {
-      console.error('Error resuming processing jobs:', error);
+      console.error('Error reaping expired leases:', error);
     }
   }
 }
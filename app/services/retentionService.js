@@ -0,0 +1,139 @@
+/**
+ * Retention Service - Expires old jobs and deletes their PDF files
+ * Finished jobs older than the retention period are marked as expired, so the API can answer 410 Gone,
+ * and so are the batches once all their jobs have expired
+ */
+
+const PDFBatch = require('../models/PDFBatch');
+const PDFJob = require('../models/PDFJob');
+const PDFWorkerService = require('./pdfWorker');
+
+class RetentionService {
+  /**
+   * @param {Object} [options] - Retention options
+   * @param {number} [options.retentionHours] - Hours a finished job and its file are kept
+   * @param {PDFWorkerService} [options.pdfWorker] - Service owning the PDF storage
+   */
+  constructor(options = {}) {
+    this.pdfWorker = options.pdfWorker || new PDFWorkerService();
+    this.retentionHours = options.retentionHours || parseFloat(process.env.JOB_RETENTION_HOURS) || 24;
+    this.sweepInterval = 10 * 60 * 1000; // 10 minutes
+    this.batchSize = 100;
+    this.intervalId = null;
+  }
+
+  /**
+   * Start the periodic retention sweep
+   */
+  start() {
+    if (this.intervalId) {
+      console.log('Retention service is already running');
+      return;
+    }
+
+    // Run a sweep immediately, then periodically
+    this.expireJobs();
+
+    this.intervalId = setInterval(() => {
+      this.expireJobs();
+    }, this.sweepInterval);
+
+    console.log(`Retention service started, jobs expire after ${this.retentionHours}h`);
+  }
+
+  /**
+   * Stop the periodic retention sweep
+   */
+  stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+      console.log('Retention service stopped');
+    }
+  }
+
+  /**
+   * Mark finished jobs older than the retention period as expired and delete their files
+   * @returns {Promise<number>} Number of jobs expired
+   */
+  async expireJobs() {
+    let expiredCount = 0;
+
+    try {
+      const cutoff = new Date(Date.now() - this.retentionHours * 60 * 60 * 1000);
+      const finishedStatuses = PDFJob.TERMINAL_STATUSES.filter(status => status !== 'expired');
+      let jobs;
+
+      do {
+        jobs = await PDFJob.find({ status: { $in: finishedStatuses }, updatedAt: { $lt: cutoff } })
+          .sort({ updatedAt: 1 })
+          .limit(this.batchSize)
+          .select('jobId status filePath');
+
+        for (const job of jobs) {
+          // Expire first so downloads get a 410 instead of a missing file
+          const expiredJob = await PDFJob.findOneAndUpdate(
+            { jobId: job.jobId, status: job.status },
+            { $set: { status: 'expired', expiredAt: new Date(), callbackNextAttemptAt: null } }
+          );
+
+          if (expiredJob) {
+            if (job.filePath) {
+              await this.pdfWorker.deleteFile(job.filePath);
+            }
+            expiredCount++;
+          }
+        }
+      } while (jobs.length === this.batchSize);
+
+      if (expiredCount > 0) {
+        console.log(`Retention sweep expired ${expiredCount} jobs`);
+      }
+    } catch (error) {
+      console.error('Error expiring old jobs:', error);
+    }
+
+    await this.expireBatches();
+
+    return expiredCount;
+  }
+
+  /**
+   * Mark batches as expired once every one of their jobs has expired
+   * @returns {Promise<number>} Number of batches expired
+   */
+  async expireBatches() {
+    let expiredCount = 0;
+
+    try {
+      // Jobs expire at least one retention period after the batch was created
+      const cutoff = new Date(Date.now() - this.retentionHours * 60 * 60 * 1000);
+      const batches = PDFBatch.find({ expiredAt: null, createdAt: { $lt: cutoff } })
+        .select('batchId')
+        .cursor();
+
+      for await (const batch of batches) {
+        const activeJob = await PDFJob.exists({ batchId: batch.batchId, status: { $ne: 'expired' } });
+        if (activeJob) {
+          continue;
+        }
+
+        const result = await PDFBatch.updateOne(
+          { batchId: batch.batchId, expiredAt: null },
+          { $set: { expiredAt: new Date() } }
+        );
+        expiredCount += result.modifiedCount;
+      }
+
+      if (expiredCount > 0) {
+        console.log(`Retention sweep expired ${expiredCount} batches`);
+      }
+    } catch (error) {
+      console.error('Error expiring old batches:', error);
+    }
+
+    return expiredCount;
+  }
+}
+
+module.exports = RetentionService;
\ No newline at end of file
@@ -3,65 +3,251 @@
  * Converted from Ruby script for PDF generation
  */
 
+// Characters swapped when the spiral is mirrored, so decorations keep pointing the right way
+const MIRROR_CHARS = {
+  '<': '>', '>': '<',
+  '(': ')', ')': '(',
+  '[': ']', ']': '[',
+  '{': '}', '}': '{',
+  '/': '\\', '\\': '/'
+};
+
+// Graphemes drawn over two columns: emoji and East Asian wide and fullwidth characters
+// (Hangul, CJK, Kana, Yi, fullwidth forms)
+const WIDE_CHARS = /^(?:\p{Emoji_Presentation}|\p{Extended_Pictographic}\uFE0F|[\u1100-\u115F\u2E80-\u303E\u3041-\u33FF\u3400-\u4DBF\u4E00-\u9FFF\uA000-\uA4CF\uAC00-\uD7A3\uF900-\uFAFF\uFE30-\uFE4F\uFF00-\uFF60\uFFE0-\uFFE6\u{20000}-\u{3FFFD}])/u;
+
+// Graphemes taking no column at all: lone combining marks and invisible format characters
+const ZERO_WIDTH_CHARS = /^[\p{Mn}\p{Me}\p{Cf}]+$/u;
+
+const graphemeSegmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+
+// Printable ASCII takes one column per character, no segmentation needed
+const ASCII_TEXT = /^[\x20-\x7E]*$/;
+
+// Drawn in place of empty words, so they still take a visible cell
+const EMPTY_WORD = '""';
+
+// Where each internal direction places its words, as seen on the page (counter-clockwise build)
+const DIRECTION_NAMES = ['down', 'right', 'up', 'left'];
+
 class SpiralGenerator {
   /**
-   * Generate spiral layout from comma-separated words
-   * @param {string} input - Comma-separated words
-   * @returns {string} - Spiral formatted text
+   * Default spiral options
+   * - startDirection: where the second word goes, 'up' (above the centre) or 'down' (below it)
+   * - clockwise: turn clockwise instead of counter-clockwise
+   * - marker: text marking the start of the spiral
+   * - separator: character drawing the horizontal separators
+   * - snail: draw the ASCII snail head at the end
+   * - endGlyph: text drawn at the end instead of the snail head, null for the snail
+   */
+  static get DEFAULT_OPTIONS() {
+    return {
+      startDirection: 'up',
+      clockwise: false,
+      marker: '>>>',
+      separator: '-',
+      snail: true,
+      endGlyph: null
+    };
+  }
+
+  /**
+   * Validate spiral options and fill in the defaults
+   * @param {Object} [options] - Partial spiral options
+   * @returns {Object} - Complete spiral options
+   * @throws {Error} - When an option has an invalid value
+   */
+  static normalizeOptions(options = {}) {
+    if (options === null || typeof options !== 'object' || Array.isArray(options)) {
+      throw new Error('Spiral options must be an object');
+    }
+
+    const normalized = { ...this.DEFAULT_OPTIONS };
+
+    if (options.startDirection !== undefined) {
+      if (!['up', 'down'].includes(options.startDirection)) {
+        throw new Error('startDirection must be "up" or "down"');
+      }
+      normalized.startDirection = options.startDirection;
+    }
+
+    if (options.clockwise !== undefined) {
+      if (typeof options.clockwise !== 'boolean') {
+        throw new Error('clockwise must be a boolean');
+      }
+      normalized.clockwise = options.clockwise;
+    }
+
+    if (options.marker !== undefined) {
+      if (typeof options.marker !== 'string' || !/^[^\s|][^\n\r|]{0,9}$/.test(options.marker)) {
+        throw new Error('marker must be 1 to 10 characters, not starting with a space and without "|"');
+      }
+      normalized.marker = options.marker;
+    }
+
+    if (options.separator !== undefined) {
+      if (typeof options.separator !== 'string' || this.graphemes(options.separator).length !== 1 ||
+          this.textWidth(options.separator) !== 1 || /\s|\|/.test(options.separator)) {
+        throw new Error('separator must be a single visible, single-width character other than "|"');
+      }
+      normalized.separator = options.separator;
+    }
+
+    if (options.snail !== undefined) {
+      if (typeof options.snail !== 'boolean') {
+        throw new Error('snail must be a boolean');
+      }
+      normalized.snail = options.snail;
+    }
+
+    if (options.endGlyph !== undefined && options.endGlyph !== null) {
+      if (typeof options.endGlyph !== 'string' || !/^\S(?:[^\r\n]*\S)?$/.test(options.endGlyph) ||
+          this.graphemes(options.endGlyph).length > 10) {
+        throw new Error('endGlyph must be 1 to 10 characters on one line, not starting or ending with a space');
+      }
+      normalized.endGlyph = options.endGlyph;
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Split comma-separated input into cleaned words
+   * @param {string|string[]} input - Comma-separated words, or a list of words kept as they are
+   * @returns {string[]} - Non-empty trimmed words, or one word per list item
    */
-  static generateSpiral(input) {
+  static parseWords(input) {
+    // Every list item is one cell, even when it contains commas or is empty
+    if (Array.isArray(input)) {
+      return input.map(word => String(word).replace(/[\r\n\t\v\f]+/g, ' ') || EMPTY_WORD);
+    }
+
     if (!input || typeof input !== 'string') {
-      return '';
+      return [];
     }
 
     // Split words by comma and clean them
-    const words = input.split(',')
+    return input.split(',')
       .map(word => word.trim())
       .filter(word => word.length > 0);
+  }
+
+  /**
+   * Generate spiral layout from comma-separated words
+   * @param {string|string[]} input - Comma-separated words, or a list of words
+   * @param {Object} [options] - Spiral options, see DEFAULT_OPTIONS
+   * @returns {string} - Spiral formatted text
+   */
+  static generateSpiral(input, options = {}) {
+    const words = this.parseWords(input);
 
     if (words.length === 0) {
       return '';
     }
 
-    return this.spiral([...words]);
+    return this.spiral([...words], options);
+  }
+
+  /**
+   * Generate the structured layout model of the spiral from comma-separated words.
+   * Positions are in character cells: row 0 is the top line, column 0 the leftmost column.
+   * @param {string|string[]} input - Comma-separated words, or a list of words
+   * @param {Object} [options] - Spiral options, see DEFAULT_OPTIONS
+   * @returns {Object} - Layout model, JSON serializable:
+   *   - type: 'grid', as opposed to the vector layouts of services/layouts
+   *   - options: complete spiral options
+   *   - width, height: size of the spiral in columns and rows
+   *   - lines: spiral text lines, as returned by generateSpiral
+   *   - words: { index, text, row, column, width, ring, direction } in input order
+   *     (ring 0 and direction 'center' for the first word)
+   *   - separators: { orientation: 'horizontal' | 'vertical', text, row, column, length }
+   *   - marker: { text, row, column, width } of the start marker, null if there are no words
+   *   - snail: { text, row, column, width } pieces of the snail head, empty if disabled or replaced
+   *   - end: { text, row, column, width } of the custom end glyph, null if there is none
+   */
+  static generateLayout(input, options = {}) {
+    const normalizedOptions = this.normalizeOptions(options);
+    const words = this.parseWords(input);
+
+    if (words.length === 0) {
+      return this.layoutFromLines([], normalizedOptions);
+    }
+
+    return this.layoutFromLines(this.buildLines(words, normalizedOptions), normalizedOptions);
   }
 
   /**
    * Create spiral layout from array of words
    * @param {string[]} words - Array of words
+   * @param {Object} [options] - Spiral options, see DEFAULT_OPTIONS
    * @returns {string} - Spiral formatted text
    */
-  static spiral(words) {
+  static spiral(words, options = {}) {
+    return this.buildLines(words, options)
+      .map(line => this.lineText(line))
+      .join('\n');
+  }
+
+  /**
+   * Build the spiral as lines of pieces.
+   * Each piece is { type, text, width } where type is 'word', 'marker', 'bar', 'rule', 'space', 'snail' or 'end',
+   * so words are never confused with the separators around them.
+   * While the spiral grows every line also carries its width, so nothing is measured twice.
+   * @param {string[]} words - Array of words
+   * @param {Object} [options] - Spiral options, see DEFAULT_OPTIONS
+   * @returns {Array<Array<Object>>} - Lines of pieces
+   */
+  static buildLines(words, options = {}) {
+    const { startDirection, clockwise, marker, separator, snail, endGlyph } = this.normalizeOptions(options);
     words = [...words]; // Create copy to avoid mutation
-    
-    let result = [`>>> | ${words.shift()}`];
-    result = this.align(result, 'right');
-    
-    let direction = 2;
+
+    const result = [this.line([
+      this.piece('marker', marker),
+      this.piece('space', ' '),
+      this.piece('bar', '|'),
+      this.piece('space', ' '),
+      this.wordPiece(words.shift(), 0, 0, 'center')
+    ])];
+    let wordIndex = 1;
+    let step = 0;
+
+    // The spiral is always built counter-clockwise, clockwise spirals are its mirror image
+    let direction = startDirection === 'up' ? 2 : 0;
     // 0 TOP
-    // 1 RIGHT  
+    // 1 RIGHT
     // 2 BOTTOM
     // 3 LEFT
 
     while (words.length > 0) {
+      // Every four turns the spiral starts a new ring around the centre
+      const ring = Math.floor(step / 4) + 1;
+      const word = () => this.wordPiece(words.shift(), wordIndex++, ring, DIRECTION_NAMES[direction]);
+
       switch (direction) {
         case 0: // TOP → add row below
           {
-            const target = result[0].length;
-            const gap = result[result.length - 1].split('|')[0].length + 1;
-            result = this.align(result, 'right');
-            
-            const row = [this.insertChars(' ', gap)];
-            while ((row.join(' ').length < target || row.length < 2) && words.length > 0) {
-              if (words.length === 0) break;
-              row.push(words.shift());
+            const target = result[0].width;
+            const gap = this.widthBeforeFirstBar(result[result.length - 1]) + 1;
+            this.align(result, 'right');
+
+            const row = [];
+            let rowWidth = gap;
+            while ((rowWidth < target || row.length < 1) && words.length > 0) {
+              const piece = word();
+              row.push(piece);
+              rowWidth += 1 + piece.width;
             }
-            
-            const separator = this.insertChars(' ', gap) + 
-                            this.insertChars('-', row.join(' ').length + 3 - gap);
-            result.push(separator);
-            result.push(row.join(' '));
-            result = this.align(result, 'left');
+
+            const rule = this.line([
+              this.piece('space', this.insertChars(' ', gap)),
+              this.piece('rule', this.insertChars(separator, rowWidth + 3 - gap))
+            ]);
+            const line = this.line([this.piece('space', this.insertChars(' ', gap))]);
+            row.forEach(piece => this.append(line, this.piece('space', ' '), piece));
+
+            result.push(rule);
+            result.push(line);
+            this.align(result, 'left');
           }
           break;
 
@@ -70,27 +256,41 @@ class SpiralGenerator {
             for (let i = 2; i <= result.length - 1; i++) {
               if (words.length === 0) break;
               const idx = result.length - 1 - i;
-              result[idx] += `| ${words.shift()}`;
+              this.append(
+                result[idx],
+                this.piece('bar', '|'),
+                this.piece('space', ' '),
+                word()
+              );
             }
-            result = this.align(result, 'left');
+            this.align(result, 'left');
           }
           break;
 
         case 2: // BOTTOM → add row above
           {
-            const target = result[result.length - 1].length;
-            const gap = result[0].split('|').pop().length + 1;
-            
-            const row = [this.insertChars(' ', gap)];
-            while ((row.join(' ').length < target || row.length < 2) && words.length > 0) {
-              row.unshift(words.shift());
+            const target = result[result.length - 1].width;
+            const gap = this.widthAfterLastBar(result[0]) + 1;
+
+            const row = [];
+            let rowWidth = gap;
+            while ((rowWidth < target || row.length < 1) && words.length > 0) {
+              const piece = word();
+              row.unshift(piece);
+              rowWidth += 1 + piece.width;
             }
-            
-            const separator = this.insertChars('-', row.join(' ').length + 3 - gap) + 
-                              this.insertChars(' ', gap);
-            result.unshift(separator);
-            result.unshift(row.join(' '));
-            result = this.align(result, 'right');
+
+            const rule = this.line([
+              this.piece('rule', this.insertChars(separator, rowWidth + 3 - gap)),
+              this.piece('space', this.insertChars(' ', gap))
+            ]);
+            const line = this.line([]);
+            row.forEach(piece => this.append(line, piece, this.piece('space', ' ')));
+            this.append(line, this.piece('space', this.insertChars(' ', gap)));
+
+            result.unshift(rule);
+            result.unshift(line);
+            this.align(result, 'right');
           }
           break;
 
@@ -98,40 +298,311 @@ class SpiralGenerator {
           {
             for (let i = 2; i <= result.length - 1; i++) {
               if (words.length === 0) break;
-              result[i] = `${words.shift()} |${result[i]}`;
+              this.prepend(
+                result[i],
+                word(),
+                this.piece('space', ' '),
+                this.piece('bar', '|')
+              );
             }
-            result = this.align(result, 'right');
+            this.align(result, 'right');
           }
           break;
       }
-      
+
       direction = (direction + 1) % 4;
+      step++;
+    }
+
+    if (snail) {
+      // A little ASCII snail head appears here, or the custom end glyph
+      const indent = this.piece('space', this.insertChars(' ', result[0].width + 3));
+      if (endGlyph) {
+        result.push(this.line([indent, this.piece('end', endGlyph)]));
+      } else {
+        result.push(this.line([indent, this.piece('snail', '     \\/')]));
+        result.push(this.line([{ ...indent }, this.piece('snail', '_____(oo)')]));
+      }
     }
 
-    // A little ASCII snail head appears here
-    const separator = this.insertChars(' ', result[0].length + 3) 
-    result.push(separator + "     \\/")
-    result.push(separator + "_____(oo)")
+    return clockwise ? this.mirror(result) : result;
+  }
 
-    return result.join('\n');
+  /**
+   * Create a line piece, measured once here
+   * @param {string} type - Piece type
+   * @param {string} text - Piece text
+   * @returns {Object} - Line piece
+   */
+  static piece(type, text) {
+    return { type, text, width: this.textWidth(text) };
   }
 
   /**
-   * Align lines to left or right
-   * @param {string[]} lines - Array of lines
+   * Create a line of pieces carrying its width
+   * @param {Object[]} pieces - Line pieces
+   * @returns {Object[]} - Line, with a width property in columns
+   */
+  static line(pieces) {
+    const line = [...pieces];
+    line.width = this.lineWidth(pieces);
+    return line;
+  }
+
+  /**
+   * Add pieces at the end of a line, keeping its width up to date
+   * @param {Object[]} line - Line created by line()
+   * @param {...Object} pieces - Pieces to add
+   */
+  static append(line, ...pieces) {
+    line.push(...pieces);
+    line.width += this.lineWidth(pieces);
+  }
+
+  /**
+   * Add pieces at the start of a line, keeping its width up to date
+   * @param {Object[]} line - Line created by line()
+   * @param {...Object} pieces - Pieces to add
+   */
+  static prepend(line, ...pieces) {
+    line.unshift(...pieces);
+    line.width += this.lineWidth(pieces);
+  }
+
+  /**
+   * Create a word piece, remembering where the word sits in the spiral
+   * @param {string} text - The word
+   * @param {number} index - Position of the word in the input
+   * @param {number} ring - Ring of the spiral, 0 for the centre
+   * @param {string} direction - Side the word was placed on: 'center', 'up', 'down', 'left' or 'right'
+   * @returns {Object} - Word piece
+   */
+  static wordPiece(text, index, ring, direction) {
+    return { type: 'word', text, width: this.textWidth(text), index, ring, direction };
+  }
+
+  /**
+   * Convert lines of pieces into the layout model, see generateLayout
+   * @param {Object[][]} lines - Lines of pieces
+   * @param {Object} options - Complete spiral options
+   * @returns {Object} - Layout model
+   */
+  static layoutFromLines(lines, options) {
+    const layout = {
+      type: 'grid',
+      options,
+      width: 0,
+      height: lines.length,
+      lines: [],
+      words: [],
+      separators: [],
+      marker: null,
+      snail: [],
+      end: null
+    };
+    const bars = [];
+
+    lines.forEach((line, row) => {
+      let column = 0;
+
+      line.forEach(piece => {
+        const { width } = piece;
+
+        switch (piece.type) {
+          case 'word':
+            layout.words.push({
+              index: piece.index,
+              text: piece.text,
+              row,
+              column,
+              width,
+              ring: piece.ring,
+              direction: piece.direction
+            });
+            break;
+          case 'marker':
+            layout.marker = { text: piece.text, row, column, width };
+            break;
+          case 'rule':
+            layout.separators.push({ orientation: 'horizontal', text: piece.text, row, column, length: width });
+            break;
+          case 'bar':
+            bars.push({ row, column });
+            break;
+          case 'snail':
+            layout.snail.push({ text: piece.text, row, column, width });
+            break;
+          case 'end':
+            layout.end = { text: piece.text, row, column, width };
+            break;
+        }
+
+        column += width;
+      });
+
+      layout.width = Math.max(layout.width, column);
+      layout.lines.push(this.lineText(line));
+    });
+
+    // Bars stacked in the same column form one vertical separator
+    bars.sort((a, b) => a.column - b.column || a.row - b.row);
+    let current = null;
+    bars.forEach(bar => {
+      if (current && current.column === bar.column && current.row + current.length === bar.row) {
+        current.length++;
+      } else {
+        current = { orientation: 'vertical', text: '|', row: bar.row, column: bar.column, length: 1 };
+        layout.separators.push(current);
+      }
+    });
+
+    layout.words.sort((a, b) => a.index - b.index);
+
+    return layout;
+  }
+
+  /**
+   * Width of a text in columns, as drawn with a monospace font.
+   * Wide characters (CJK, emoji) take two columns, combining marks none.
+   * @param {string} text - Text to measure
+   * @returns {number} - Number of columns
+   */
+  static textWidth(text) {
+    if (ASCII_TEXT.test(text)) {
+      return text.length;
+    }
+    return this.graphemes(text).reduce((width, grapheme) => width + this.graphemeWidth(grapheme), 0);
+  }
+
+  /**
+   * Width of a single grapheme in columns
+   * @param {string} grapheme - User-perceived character
+   * @returns {number} - 0, 1 or 2
+   */
+  static graphemeWidth(grapheme) {
+    if (grapheme.charCodeAt(0) < 0x300) {
+      return 1; // Fast path for Latin text
+    }
+    if (ZERO_WIDTH_CHARS.test(grapheme)) {
+      return 0;
+    }
+    return WIDE_CHARS.test(grapheme) ? 2 : 1;
+  }
+
+  /**
+   * Split a text into graphemes, so combining sequences stay together
+   * @param {string} text - Text to split
+   * @returns {string[]} - Graphemes
+   */
+  static graphemes(text) {
+    return Array.from(graphemeSegmenter.segment(text), ({ segment }) => segment);
+  }
+
+  /**
+   * Width of a line of pieces
+   * @param {Object[]} line - Line pieces
+   * @returns {number} - Number of columns
+   */
+  static lineWidth(line) {
+    return line.reduce((width, piece) => width + piece.width, 0);
+  }
+
+  /**
+   * Text of a line of pieces
+   * @param {Object[]} line - Line pieces
+   * @returns {string} - Line text
+   */
+  static lineText(line) {
+    return line.map(piece => piece.text).join('');
+  }
+
+  /**
+   * Width of a line before its first column bar (whole line if there is none)
+   * @param {Object[]} line - Line pieces
+   * @returns {number} - Number of columns
+   */
+  static widthBeforeFirstBar(line) {
+    const index = line.findIndex(piece => piece.type === 'bar');
+    return this.lineWidth(index === -1 ? line : line.slice(0, index));
+  }
+
+  /**
+   * Width of a line after its last column bar (whole line if there is none)
+   * @param {Object[]} line - Line pieces
+   * @returns {number} - Number of columns
+   */
+  static widthAfterLastBar(line) {
+    const index = line.findLastIndex(piece => piece.type === 'bar');
+    return this.lineWidth(index === -1 ? line : line.slice(index + 1));
+  }
+
+  /**
+   * Align lines to left or right, padding them in place
+   * @param {Object[][]} lines - Lines created by line()
    * @param {string} direction - 'left' or 'right'
-   * @returns {string[]} - Aligned lines
+   * @returns {Object[][]} - The same lines, aligned
    */
   static align(lines, direction) {
-    const max = Math.max(...lines.map(line => line.length));
-    
-    return lines.map(line => {
+    const max = lines.reduce((width, line) => Math.max(width, line.width), 0);
+
+    lines.forEach(line => {
+      const padding = max - line.width;
+      if (padding === 0) {
+        return;
+      }
+
+      const pad = this.piece('space', this.insertChars(' ', padding));
       if (direction === 'left') {
-        return line.padEnd(max, ' ');
+        this.append(line, pad);
       } else {
-        return line.padStart(max, ' ');
+        this.prepend(line, pad);
       }
     });
+
+    return lines;
+  }
+
+  /**
+   * Mirror lines horizontally, keeping words, the marker and the end glyph readable
+   * @param {Object[][]} lines - Lines of pieces
+   * @returns {Object[][]} - Mirrored lines
+   */
+  static mirror(lines) {
+    const mirroredDirections = { left: 'right', right: 'left' };
+
+    return this.align(lines, 'left').map(line =>
+      [...line].reverse().map(piece => {
+        if (piece.type === 'word') {
+          return { ...piece, direction: mirroredDirections[piece.direction] || piece.direction };
+        }
+        if (piece.type === 'marker') {
+          return { ...piece, text: this.mirrorMarker(piece.text) };
+        }
+        return piece.type === 'end' ? piece : { ...piece, text: this.mirrorText(piece.text) };
+      })
+    );
+  }
+
+  /**
+   * Mirror a decoration text: reverse it and flip directional characters
+   * @param {string} text - Text to mirror
+   * @returns {string} - Mirrored text
+   */
+  static mirrorText(text) {
+    return this.graphemes(text).reverse().map(char => MIRROR_CHARS[char] || char).join('');
+  }
+
+  /**
+   * Mirror the start marker: a marker with letters or digits, like "START >", keeps its reading order
+   * and only flips its directional characters, a marker made of symbols only, like "->", is mirrored
+   * @param {string} text - Marker text
+   * @returns {string} - Mirrored marker
+   */
+  static mirrorMarker(text) {
+    if (!/[\p{L}\p{N}]/u.test(text)) {
+      return this.mirrorText(text);
+    }
+    return this.graphemes(text).map(char => MIRROR_CHARS[char] || char).join('');
   }
 
   /**
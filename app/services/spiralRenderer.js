@@ -0,0 +1,533 @@
+/**
+ * Spiral Renderer - Draws a spiral layout model onto a PDFKit document
+ * Every element of a grid layout is placed on its own cell, so words, separators
+ * and decorations can be styled independently; vector layouts are drawn with paths
+ * and glyphs rotated along them
+ */
+
+const SpiralGenerator = require('./spiralGenerator');
+const themes = require('./themes');
+const { CHAR_WIDTH, ASCENT, DESCENT } = require('./layouts/vectorLayout');
+
+// Page sizes in points, portrait orientation (same values PDFKit uses)
+const PAGE_SIZES = {
+  A4: [595.28, 841.89],
+  A3: [841.89, 1190.55]
+};
+
+class SpiralRenderer {
+  /**
+   * Default page options
+   * - margin: blank border around the spiral on every side
+   * - pageSizes: page sizes to try, smallest first
+   * - font, lineGap: monospace font used for every cell, a built-in or registered PDFKit font name
+   * - fallbackFont: function giving the registered PDFKit font of a grapheme the font lacks, or null
+   * - minFontSize: smallest legible font size, below it the spiral is tiled
+   * - maxFontSize: largest font size used for small spirals
+   * - overlap: cells repeated on neighbouring tiles
+   * - outlineTitle: bookmark added for the spiral pages, none when null
+   * - theme: complete theme from themes.resolveTheme, the classic theme when null
+   */
+  static get DEFAULT_OPTIONS() {
+    return {
+      margin: 50,
+      pageSizes: ['A4', 'A3'],
+      font: 'Courier',
+      fallbackFont: null,
+      lineGap: 1,
+      minFontSize: 6,
+      maxFontSize: 12,
+      overlap: { columns: 4, rows: 2 },
+      outlineTitle: null,
+      theme: null
+    };
+  }
+
+  /**
+   * Measure the spiral and lay it out on pages
+   * @param {PDFDocument} doc - PDFKit document, used to measure the font
+   * @param {Object} layout - Layout model from services/layouts
+   * @param {Object} [options] - Page options, see DEFAULT_OPTIONS
+   * @returns {Object} - Page plan: { size, orientation, fontSize, cellWidth, cellHeight, tiles }
+   *   where each tile is { row, column, rows, columns, tileRow, tileColumn }
+   *   and tiles.length === 1 when the spiral fits on a single page.
+   *   Cells of vector layouts are ems of the font size.
+   */
+  static planPages(doc, layout, options = {}) {
+    const vector = layout.type === 'vector';
+    const settings = { ...this.DEFAULT_OPTIONS, ...options, ...(vector ? { lineGap: 0 } : {}) };
+    const metrics = vector ? { width: 1, height: 1 } : this.measure(doc, settings.font);
+
+    // Smallest page size that fits the whole spiral at a legible size, in its best orientation
+    for (const size of settings.pageSizes) {
+      let best = null;
+
+      ['portrait', 'landscape'].forEach(orientation => {
+        const area = this.printableArea(size, orientation, settings.margin);
+        const fontSize = this.fitFontSize(layout, area, metrics, settings);
+
+        if (fontSize >= settings.minFontSize && (!best || fontSize > best.fontSize)) {
+          best = { size, orientation, fontSize };
+        }
+      });
+
+      if (best) {
+        return this.tilePlan(layout, best, metrics, settings);
+      }
+    }
+
+    // Too large for any page: tile it at the smallest legible size on the first page size
+    const candidates = ['portrait', 'landscape'].map(orientation => this.tilePlan(layout, {
+      size: settings.pageSizes[0],
+      orientation,
+      fontSize: settings.minFontSize
+    }, metrics, settings));
+
+    return candidates.reduce((best, plan) => plan.tiles.length < best.tiles.length ? plan : best);
+  }
+
+  /**
+   * Render the spiral on as many pages as needed
+   * @param {PDFDocument} doc - PDFKit document created with autoFirstPage: false
+   * @param {Object} layout - Layout model from services/layouts
+   * @param {Object} [options] - Page options, see DEFAULT_OPTIONS
+   * @returns {Object} - The page plan that was rendered
+   */
+  static renderDocument(doc, layout, options = {}) {
+    const settings = { ...this.DEFAULT_OPTIONS, ...options };
+    const plan = this.planPages(doc, layout, settings);
+    const tiled = plan.tiles.length > 1;
+    const theme = settings.theme || themes.resolveTheme();
+    let outline = null;
+
+    plan.tiles.forEach((tile, index) => {
+      doc.addPage({ size: plan.size, layout: plan.orientation, margin: settings.margin });
+
+      // Pages are white already
+      if (!/^#f{3}(?:f{3})?$/i.test(theme.background)) {
+        doc.rect(0, 0, doc.page.width, doc.page.height).fill(theme.background);
+      }
+
+      // Bookmark the spiral, and each of its tiles
+      if (settings.outlineTitle) {
+        if (!outline) {
+          outline = doc.outline.addItem(settings.outlineTitle);
+        }
+        if (tiled) {
+          outline.addItem(`Page ${index + 1} - row ${tile.tileRow + 1}, column ${tile.tileColumn + 1}`);
+        }
+      }
+
+      const area = this.printableArea(plan.size, plan.orientation, settings.margin);
+      const renderOptions = {
+        x: area.x,
+        y: area.y,
+        width: area.width,
+        font: settings.font,
+        fallbackFont: settings.fallbackFont,
+        fontSize: plan.fontSize,
+        lineGap: settings.lineGap,
+        theme
+      };
+
+      if (tiled) {
+        this.render(doc, layout, { ...renderOptions, viewport: tile });
+        this.drawTileMarks(doc, plan, tile, index, area, settings);
+      } else {
+        this.render(doc, layout, renderOptions);
+      }
+    });
+
+    return plan;
+  }
+
+  /**
+   * Draw a layout model, or the part of it inside a viewport
+   * @param {PDFDocument} doc - PDFKit document
+   * @param {Object} layout - Layout model from services/layouts
+   * @param {Object} options - Rendering options
+   * @param {number} options.x - Left edge of the drawing area
+   * @param {number} options.y - Top edge of the drawing area
+   * @param {number} options.width - Width of the drawing area, the spiral is centred in it
+   * @param {string} options.font - Monospace font
+   * @param {Function} [options.fallbackFont] - Font of a grapheme the monospace font lacks, see DEFAULT_OPTIONS
+   * @param {number} options.fontSize - Font size
+   * @param {number} options.lineGap - Extra space between rows
+   * @param {Object} [options.viewport] - Cells to draw { row, column, rows, columns },
+   *   drawn from the top-left corner of the area and clipped to it
+   * @param {Object} [options.theme] - Complete theme, the classic theme when missing
+   * @returns {PDFDocument} - The document, for chaining
+   */
+  static render(doc, layout, options) {
+    if (layout.type === 'vector') {
+      return this.renderVector(doc, layout, options);
+    }
+
+    const { x, y, width, font, fallbackFont, fontSize, lineGap, viewport } = options;
+    const theme = options.theme || themes.resolveTheme();
+
+    doc.font(font).fontSize(fontSize);
+
+    // Fallback glyphs sit on the baseline of the monospace font, their own ascent is taller
+    const baseline = -doc._font.ascender / 1000 * fontSize;
+
+    const cellWidth = doc.widthOfString('M');
+    const cellHeight = doc.currentLineHeight(true) + lineGap;
+    const view = viewport || { row: 0, column: 0, rows: layout.height, columns: layout.width };
+    const left = viewport
+      ? x - view.column * cellWidth
+      : x + (width - layout.width * cellWidth) / 2;
+    const top = y - view.row * cellHeight;
+
+    // Only cells on a visible row that reach into the visible columns are drawn
+    const visible = (row, column, length) =>
+      row >= view.row && row < view.row + view.rows &&
+      column < view.column + view.columns && column + length > view.column;
+    const draw = (text, row, column, length, color) => {
+      if (!visible(row, column, length)) {
+        return;
+      }
+
+      doc.fillColor(color);
+      if (/^[\x20-\x7E]*$/.test(text)) {
+        doc.text(text, left + column * cellWidth, top + row * cellHeight, { lineBreak: false });
+        return;
+      }
+
+      // Place each grapheme on its own cells, so wide and combining characters
+      // stay aligned whatever advance the font gives them
+      let offset = column;
+      SpiralGenerator.graphemes(text).forEach(grapheme => {
+        const fallback = fallbackFont && fallbackFont(grapheme);
+        if (fallback) {
+          doc.font(fallback)
+            .text(grapheme, left + offset * cellWidth, top + row * cellHeight, { lineBreak: false, baseline })
+            .font(font);
+        } else {
+          doc.text(grapheme, left + offset * cellWidth, top + row * cellHeight, { lineBreak: false });
+        }
+        offset += SpiralGenerator.graphemeWidth(grapheme);
+      });
+    };
+
+    doc.save();
+    if (viewport) {
+      doc.rect(x, y, view.columns * cellWidth, view.rows * cellHeight).clip();
+    }
+
+    if (theme.separator.style === 'text') {
+      layout.separators.forEach(separator => {
+        if (separator.orientation === 'vertical') {
+          for (let i = 0; i < separator.length; i++) {
+            draw(separator.text, separator.row + i, separator.column, 1, theme.separator.color);
+          }
+        } else if (separator.length > 0) {
+          draw(separator.text, separator.row, separator.column, separator.length, theme.separator.color);
+        }
+      });
+    } else {
+      // Separators drawn as lines through the middle of their cells
+      const textHeight = cellHeight - lineGap;
+      this.strokeSeparators(doc, theme, fontSize, layout.separators, separator => {
+        if (separator.orientation === 'vertical') {
+          const lineX = left + (separator.column + 0.5) * cellWidth;
+          doc.moveTo(lineX, top + separator.row * cellHeight)
+            .lineTo(lineX, top + (separator.row + separator.length - 1) * cellHeight + textHeight);
+        } else if (separator.length > 0) {
+          const lineY = top + separator.row * cellHeight + textHeight / 2;
+          doc.moveTo(left + separator.column * cellWidth, lineY)
+            .lineTo(left + (separator.column + separator.length) * cellWidth, lineY);
+        }
+      });
+    }
+
+    if (layout.marker) {
+      const { text, row, column, width: markerWidth } = layout.marker;
+      if (theme.marker.highlight && visible(row, column, markerWidth)) {
+        doc.rect(left + column * cellWidth, top + row * cellHeight, markerWidth * cellWidth, cellHeight - lineGap)
+          .fill(theme.marker.highlight);
+      }
+      draw(text, row, column, markerWidth, theme.marker.color);
+    }
+
+    layout.words.forEach(word => draw(word.text, word.row, word.column, word.width, themes.wordColor(theme, word)));
+
+    layout.snail.forEach(piece => draw(piece.text.trimEnd(), piece.row, piece.column, piece.width, theme.end.color));
+
+    if (layout.end) {
+      draw(layout.end.text, layout.end.row, layout.end.column, layout.end.width, theme.end.color);
+    }
+
+    doc.restore();
+
+    return doc;
+  }
+
+  /**
+   * Draw a vector layout model, or the part of it inside a viewport
+   * @param {PDFDocument} doc - PDFKit document
+   * @param {Object} layout - Vector layout model from services/layouts
+   * @param {Object} options - Rendering options, see render; the viewport is in ems
+   * @returns {PDFDocument} - The document, for chaining
+   */
+  static renderVector(doc, layout, options) {
+    const { x, y, width, font, fallbackFont, fontSize, viewport } = options;
+    const theme = options.theme || themes.resolveTheme();
+
+    // Layout coordinates are ems, one em is the font size
+    const view = viewport || { row: 0, column: 0, rows: layout.height, columns: layout.width };
+    const left = viewport
+      ? x - view.column * fontSize
+      : x + (width - layout.width * fontSize) / 2;
+    const top = y - view.row * fontSize;
+    const pageX = value => left + value * fontSize;
+    const pageY = value => top + value * fontSize;
+
+    // Glyphs are drawn when they are near enough to the viewport to show on it
+    const visible = glyph =>
+      glyph.x > view.column - 2 && glyph.x < view.column + view.columns + 2 &&
+      glyph.y > view.row - 2 && glyph.y < view.row + view.rows + 2;
+    const draw = (glyphs, color, highlight = null) => glyphs.forEach(glyph => {
+      if (!visible(glyph)) {
+        return;
+      }
+
+      doc.save();
+      doc.translate(pageX(glyph.x), pageY(glyph.y)).rotate(glyph.angle);
+      if (highlight) {
+        doc.rect(0, -ASCENT * fontSize, glyph.width * CHAR_WIDTH * fontSize, (ASCENT + DESCENT) * fontSize)
+          .fill(highlight);
+      }
+      doc.font((fallbackFont && fallbackFont(glyph.text)) || font)
+        .fillColor(color).text(glyph.text, 0, 0, { lineBreak: false, baseline: 'alphabetic' });
+      doc.restore();
+    });
+    const trace = path => {
+      if (path.type === 'circle') {
+        doc.circle(pageX(path.cx), pageY(path.cy), path.r * fontSize);
+      } else {
+        path.points.forEach(([pointX, pointY], index) => index === 0
+          ? doc.moveTo(pageX(pointX), pageY(pointY))
+          : doc.lineTo(pageX(pointX), pageY(pointY)));
+      }
+    };
+
+    doc.save();
+    if (viewport) {
+      doc.rect(x, y, view.columns * fontSize, view.rows * fontSize).clip();
+    }
+
+    // Guide lines thin and solid behind the words, separators in the theme style
+    layout.paths.filter(path => path.kind === 'guide').forEach(path => {
+      trace(path);
+      doc.lineWidth(Math.max(0.25, fontSize / 20)).strokeColor(theme.guide.color).stroke();
+    });
+    this.strokeSeparators(doc, theme, fontSize, layout.paths.filter(path => path.kind === 'separator'), trace);
+
+    doc.font(font).fontSize(fontSize);
+
+    if (layout.marker) {
+      draw(layout.marker.glyphs, theme.marker.color, theme.marker.highlight);
+    }
+
+    layout.words.forEach(word => draw(word.glyphs, themes.wordColor(theme, word)));
+
+    if (layout.end) {
+      draw(layout.end.glyphs, theme.end.color);
+    }
+
+    doc.restore();
+
+    return doc;
+  }
+
+  /**
+   * Stroke separator lines in the style of the theme
+   * @param {PDFDocument} doc - PDFKit document
+   * @param {Object} theme - Complete theme
+   * @param {number} fontSize - Font size, thin lines follow it when the theme sets no thickness
+   * @param {Object[]} separators - Separators to draw
+   * @param {Function} trace - Adds the lines of one separator to the current path
+   */
+  static strokeSeparators(doc, theme, fontSize, separators, trace) {
+    if (separators.length === 0) {
+      return;
+    }
+
+    const lineWidth = theme.separator.width || Math.max(0.25, fontSize / 20);
+    const { dash, cap } = themes.strokeStyle(theme.separator.style, lineWidth);
+
+    doc.save();
+    doc.lineWidth(lineWidth).lineCap(cap).strokeColor(theme.separator.color);
+    if (dash) {
+      doc.dash(dash[0], { space: dash[1] });
+    }
+    separators.forEach(trace);
+    doc.stroke();
+    doc.restore();
+  }
+
+  /**
+   * Draw overlap marks, page index and a small map of the tiles
+   * @param {PDFDocument} doc - PDFKit document
+   * @param {Object} plan - Page plan from planPages
+   * @param {Object} tile - Tile drawn on the current page
+   * @param {number} index - Index of the tile in the plan
+   * @param {Object} area - Printable area of the page
+   * @param {Object} settings - Page options
+   */
+  static drawTileMarks(doc, plan, tile, index, area, settings) {
+    const { cellWidth, cellHeight, tileRows, tileColumns } = plan;
+    const { overlap } = settings;
+    const right = area.x + tile.columns * cellWidth;
+    const bottom = area.y + tile.rows * cellHeight;
+
+    doc.save();
+    doc.lineWidth(0.5).strokeColor('#999999').dash(3, { space: 3 });
+
+    // Cells from the previous tile end here
+    if (tile.tileColumn > 0) {
+      const markX = area.x + overlap.columns * cellWidth;
+      doc.moveTo(markX, area.y).lineTo(markX, bottom).stroke();
+    }
+    if (tile.tileRow > 0) {
+      const markY = area.y + overlap.rows * cellHeight;
+      doc.moveTo(area.x, markY).lineTo(right, markY).stroke();
+    }
+
+    // The next tile starts here
+    if (tile.tileColumn < tileColumns - 1) {
+      const markX = right - overlap.columns * cellWidth;
+      doc.moveTo(markX, area.y).lineTo(markX, bottom).stroke();
+    }
+    if (tile.tileRow < tileRows - 1) {
+      const markY = bottom - overlap.rows * cellHeight;
+      doc.moveTo(area.x, markY).lineTo(right, markY).stroke();
+    }
+
+    doc.undash();
+
+    // Page index in the bottom margin
+    const footerY = area.y + area.height + settings.margin / 3;
+    doc.font(settings.font).fontSize(7).fillColor('#666666')
+      .text(
+        `Page ${index + 1} of ${plan.tiles.length} - row ${tile.tileRow + 1}/${tileRows}, column ${tile.tileColumn + 1}/${tileColumns}`,
+        area.x,
+        footerY,
+        { lineBreak: false }
+      );
+
+    // Map of the tiles with the current one filled in
+    const mapCell = Math.min(6, (settings.margin * 2 / 3 - 2) / tileRows);
+    const mapX = area.x + area.width - tileColumns * mapCell;
+    for (let row = 0; row < tileRows; row++) {
+      for (let column = 0; column < tileColumns; column++) {
+        doc.rect(mapX + column * mapCell, footerY + row * mapCell, mapCell, mapCell);
+        if (row === tile.tileRow && column === tile.tileColumn) {
+          doc.fillAndStroke('#666666', '#999999');
+        } else {
+          doc.stroke('#999999');
+        }
+      }
+    }
+
+    doc.restore();
+  }
+
+  /**
+   * Measure one cell of the font at size 1, sizes scale linearly
+   * @param {PDFDocument} doc - PDFKit document
+   * @param {string} font - Monospace font
+   * @returns {Object} - { width, height } of a cell without line gap
+   */
+  static measure(doc, font) {
+    doc.font(font).fontSize(1);
+    return {
+      width: doc.widthOfString('M'),
+      height: doc.currentLineHeight(true)
+    };
+  }
+
+  /**
+   * Printable area of a page
+   * @param {string} size - Page size name
+   * @param {string} orientation - 'portrait' or 'landscape'
+   * @param {number} margin - Margin on every side
+   * @returns {Object} - { x, y, width, height }
+   */
+  static printableArea(size, orientation, margin) {
+    const [shortSide, longSide] = PAGE_SIZES[size];
+    const [pageWidth, pageHeight] = orientation === 'landscape'
+      ? [longSide, shortSide]
+      : [shortSide, longSide];
+
+    return {
+      x: margin,
+      y: margin,
+      width: pageWidth - margin * 2,
+      height: pageHeight - margin * 2
+    };
+  }
+
+  /**
+   * Largest font size, in half points, at which the whole spiral fits in an area
+   * @param {Object} layout - Layout model
+   * @param {Object} area - Printable area
+   * @param {Object} metrics - Cell size at font size 1
+   * @param {Object} settings - Page options
+   * @returns {number} - Font size, capped at maxFontSize
+   */
+  static fitFontSize(layout, area, metrics, settings) {
+    const byWidth = layout.width > 0
+      ? area.width / (layout.width * metrics.width)
+      : Infinity;
+    const byHeight = layout.height > 0
+      ? (area.height - layout.height * settings.lineGap) / (layout.height * metrics.height)
+      : Infinity;
+
+    return Math.min(settings.maxFontSize, Math.floor(Math.min(byWidth, byHeight) * 2) / 2);
+  }
+
+  /**
+   * Split the spiral into overlapping tiles that fit the printable area
+   * @param {Object} layout - Layout model
+   * @param {Object} page - { size, orientation, fontSize }
+   * @param {Object} metrics - Cell size at font size 1
+   * @param {Object} settings - Page options
+   * @returns {Object} - Page plan, see planPages
+   */
+  static tilePlan(layout, page, metrics, settings) {
+    const area = this.printableArea(page.size, page.orientation, settings.margin);
+    const cellWidth = metrics.width * page.fontSize;
+    const cellHeight = metrics.height * page.fontSize + settings.lineGap;
+    const columnsPerTile = Math.floor(area.width / cellWidth);
+    const rowsPerTile = Math.floor(area.height / cellHeight);
+
+    // Each tile after the first advances by its size minus the overlap
+    const count = (total, perTile, overlap) => total <= perTile
+      ? 1
+      : 1 + Math.ceil((total - perTile) / (perTile - overlap));
+    const tileColumns = count(layout.width, columnsPerTile, settings.overlap.columns);
+    const tileRows = count(layout.height, rowsPerTile, settings.overlap.rows);
+
+    const tiles = [];
+    for (let tileRow = 0; tileRow < tileRows; tileRow++) {
+      for (let tileColumn = 0; tileColumn < tileColumns; tileColumn++) {
+        const row = tileRow * (rowsPerTile - settings.overlap.rows);
+        const column = tileColumn * (columnsPerTile - settings.overlap.columns);
+        tiles.push({
+          row,
+          column,
+          rows: Math.min(rowsPerTile, Math.max(layout.height - row, 0)),
+          columns: Math.min(columnsPerTile, Math.max(layout.width - column, 0)),
+          tileRow,
+          tileColumn
+        });
+      }
+    }
+
+    return { ...page, cellWidth, cellHeight, tileRows, tileColumns, tiles };
+  }
+}
+
+module.exports = SpiralRenderer;
\ No newline at end of file
@@ -0,0 +1,102 @@
+/**
+ * GridFS Storage Driver - Stores generated PDFs in MongoDB with GridFS
+ * Uses the application mongoose connection, so PDFs live next to their jobs
+ */
+
+const mongoose = require('mongoose');
+
+class GridFSStorageDriver {
+  /**
+   * @param {Object} options - Driver options
+   * @param {string} options.bucketName - GridFS bucket name
+   */
+  constructor(options) {
+    this.bucketName = options.bucketName;
+    this.bucket = null;
+  }
+
+  /**
+   * Get the GridFS bucket, created once the mongoose connection is open
+   * @returns {Promise<mongoose.mongo.GridFSBucket>} The GridFS bucket
+   */
+  async getBucket() {
+    if (!this.bucket) {
+      await mongoose.connection.asPromise();
+      this.bucket = new mongoose.mongo.GridFSBucket(mongoose.connection.db, {
+        bucketName: this.bucketName
+      });
+    }
+    return this.bucket;
+  }
+
+  /**
+   * Find the GridFS file ids stored under a name
+   * @param {string} filename - Name of the stored file
+   * @returns {Promise<Array>} File ids
+   */
+  async findFileIds(filename) {
+    const bucket = await this.getBucket();
+    const files = await bucket.find({ filename }).project({ _id: 1 }).toArray();
+    return files.map(file => file._id);
+  }
+
+  /**
+   * Store a file, replacing any previous version
+   * @param {string} filename - Name of the stored file
+   * @param {Buffer} data - File content
+   * @param {string} [contentType] - MIME type of the file, kept in its metadata
+   */
+  async save(filename, data, contentType = 'application/pdf') {
+    const bucket = await this.getBucket();
+    const previousIds = await this.findFileIds(filename);
+
+    await new Promise((resolve, reject) => {
+      const uploadStream = bucket.openUploadStream(filename, {
+        metadata: { contentType }
+      });
+      uploadStream.on('finish', resolve);
+      uploadStream.on('error', reject);
+      uploadStream.end(data);
+    });
+
+    // Remove older versions only once the new one is fully written
+    for (const id of previousIds) {
+      await bucket.delete(id);
+    }
+  }
+
+  /**
+   * Check if a file exists in storage
+   * @param {string} filename - Name of the stored file
+   * @returns {Promise<boolean>} True if file exists, false otherwise
+   */
+  async exists(filename) {
+    const ids = await this.findFileIds(filename);
+    return ids.length > 0;
+  }
+
+  /**
+   * Open a stored file for reading
+   * @param {string} filename - Name of the stored file
+   * @returns {Promise<import('stream').Readable>} Readable stream of the file content
+   */
+  async createReadStream(filename) {
+    const bucket = await this.getBucket();
+    return bucket.openDownloadStreamByName(filename);
+  }
+
+  /**
+   * Delete a file from storage if it exists
+   * @param {string} filename - Name of the stored file
+   */
+  async delete(filename) {
+    const bucket = await this.getBucket();
+    const ids = await this.findFileIds(filename);
+
+    for (const id of ids) {
+      await bucket.delete(id);
+    }
+  }
+}
+
+module.exports = GridFSStorageDriver;
\ No newline at end of file
@@ -0,0 +1,49 @@
+/**
+ * Storage - Pluggable backends for generated PDFs
+ * Every driver exposes the same async interface: save, exists, createReadStream and delete
+ */
+
+const storageConfig = require('../../config/storage');
+
+const drivers = {
+  local: () => require('./localStorage'),
+  gridfs: () => require('./gridfsStorage'),
+  s3: () => require('./s3Storage')
+};
+
+let defaultStorage = null;
+
+/**
+ * Create a storage driver
+ * @param {Object} [config] - Storage configuration, defaults to config/storage.js
+ * @returns {Object} Storage driver instance
+ * @throws {Error} When the configured driver is unknown
+ */
+function createStorage(config = storageConfig) {
+  const loadDriver = drivers[config.driver];
+
+  if (!loadDriver) {
+    throw new Error(`Unknown storage driver "${config.driver}", expected one of: ${Object.keys(drivers).join(', ')}`);
+  }
+
+  // Drivers are loaded lazily so unused backends don't need their dependencies
+  const Driver = loadDriver();
+  return new Driver(config[config.driver]);
+}
+
+/**
+ * Get the storage driver shared by the worker service and the routes
+ * @returns {Object} Storage driver instance
+ */
+function getStorage() {
+  if (!defaultStorage) {
+    defaultStorage = createStorage();
+    console.log(`Using ${storageConfig.driver} storage for generated PDFs`);
+  }
+  return defaultStorage;
+}
+
+module.exports = {
+  createStorage,
+  getStorage
+};
\ No newline at end of file
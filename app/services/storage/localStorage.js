@@ -0,0 +1,84 @@
+/**
+ * Local Storage Driver - Stores generated PDFs on the local filesystem
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class LocalStorageDriver {
+  /**
+   * @param {Object} options - Driver options
+   * @param {string} options.directory - Directory holding the PDF files
+   */
+  constructor(options) {
+    this.directory = options.directory;
+    this.ensureStorageDirectory();
+  }
+
+  /**
+   * Ensure the PDF storage directory exists
+   */
+  ensureStorageDirectory() {
+    if (!fs.existsSync(this.directory)) {
+      fs.mkdirSync(this.directory, { recursive: true });
+    }
+  }
+
+  /**
+   * Resolve a stored file name to its path
+   * Only the base name is used, so a name can never point outside the storage directory
+   * @param {string} filename - Name of the stored file
+   * @returns {string} Full path to the file
+   */
+  resolve(filename) {
+    return path.join(this.directory, path.basename(filename));
+  }
+
+  /**
+   * Store a file, replacing any previous version
+   * @param {string} filename - Name of the stored file
+   * @param {Buffer} data - File content
+   * @param {string} [contentType] - MIME type of the file, the file extension already tells it here
+   */
+  async save(filename, data, contentType = 'application/pdf') {
+    const filePath = this.resolve(filename);
+    const tempPath = `${filePath}.tmp`;
+
+    // Write to a temporary file first so readers never see a partial PDF
+    await fs.promises.writeFile(tempPath, data);
+    await fs.promises.rename(tempPath, filePath);
+  }
+
+  /**
+   * Check if a file exists in storage
+   * @param {string} filename - Name of the stored file
+   * @returns {Promise<boolean>} True if file exists, false otherwise
+   */
+  async exists(filename) {
+    try {
+      await fs.promises.access(this.resolve(filename));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Open a stored file for reading
+   * @param {string} filename - Name of the stored file
+   * @returns {Promise<import('stream').Readable>} Readable stream of the file content
+   */
+  async createReadStream(filename) {
+    return fs.createReadStream(this.resolve(filename));
+  }
+
+  /**
+   * Delete a file from storage if it exists
+   * @param {string} filename - Name of the stored file
+   */
+  async delete(filename) {
+    await fs.promises.rm(this.resolve(filename), { force: true });
+  }
+}
+
+module.exports = LocalStorageDriver;
\ No newline at end of file
@@ -0,0 +1,131 @@
+/**
+ * S3 Storage Driver - Stores generated PDFs in an S3-compatible object store
+ * Works with AWS S3 and with MinIO (set an endpoint and path-style addressing)
+ */
+
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  HeadBucketCommand,
+  CreateBucketCommand
+} = require('@aws-sdk/client-s3');
+
+class S3StorageDriver {
+  /**
+   * @param {Object} options - Driver options
+   * @param {string} options.bucket - Bucket holding the PDF files
+   * @param {string} [options.endpoint] - Custom endpoint, e.g. a local MinIO
+   * @param {string} options.region - Bucket region
+   * @param {string} [options.accessKeyId] - Access key, defaults to the AWS credential chain
+   * @param {string} [options.secretAccessKey] - Secret key, defaults to the AWS credential chain
+   * @param {boolean} [options.forcePathStyle] - Use path-style URLs (required by MinIO)
+   */
+  constructor(options) {
+    this.bucket = options.bucket;
+    this.bucketReady = null;
+
+    const clientConfig = {
+      region: options.region,
+      endpoint: options.endpoint,
+      forcePathStyle: options.forcePathStyle
+    };
+
+    if (options.accessKeyId && options.secretAccessKey) {
+      clientConfig.credentials = {
+        accessKeyId: options.accessKeyId,
+        secretAccessKey: options.secretAccessKey
+      };
+    }
+
+    this.client = new S3Client(clientConfig);
+  }
+
+  /**
+   * Check if an S3 error means the object or bucket does not exist
+   * @param {Error} error - Error thrown by the S3 client
+   * @returns {boolean} True for not found errors
+   */
+  static isNotFound(error) {
+    return error.name === 'NotFound' || error.name === 'NoSuchKey' || error.name === 'NoSuchBucket' ||
+      (error.$metadata && error.$metadata.httpStatusCode === 404);
+  }
+
+  /**
+   * Create the bucket on first use if it does not exist yet (handy with a fresh MinIO)
+   */
+  async ensureBucket() {
+    if (!this.bucketReady) {
+      this.bucketReady = (async () => {
+        try {
+          await this.client.send(new HeadBucketCommand({ Bucket: this.bucket }));
+        } catch (error) {
+          if (!S3StorageDriver.isNotFound(error)) {
+            throw error;
+          }
+          await this.client.send(new CreateBucketCommand({ Bucket: this.bucket }));
+        }
+      })().catch(error => {
+        // Try again on the next call
+        this.bucketReady = null;
+        throw error;
+      });
+    }
+    return this.bucketReady;
+  }
+
+  /**
+   * Store a file, replacing any previous version
+   * @param {string} filename - Name of the stored file
+   * @param {Buffer} data - File content
+   * @param {string} [contentType] - MIME type of the object
+   */
+  async save(filename, data, contentType = 'application/pdf') {
+    await this.ensureBucket();
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: filename,
+      Body: data,
+      ContentType: contentType
+    }));
+  }
+
+  /**
+   * Check if a file exists in storage
+   * @param {string} filename - Name of the stored file
+   * @returns {Promise<boolean>} True if file exists, false otherwise
+   */
+  async exists(filename) {
+    try {
+      await this.client.send(new HeadObjectCommand({ Bucket: this.bucket, Key: filename }));
+      return true;
+    } catch (error) {
+      if (S3StorageDriver.isNotFound(error)) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Open a stored file for reading
+   * @param {string} filename - Name of the stored file
+   * @returns {Promise<import('stream').Readable>} Readable stream of the file content
+   */
+  async createReadStream(filename) {
+    const response = await this.client.send(new GetObjectCommand({ Bucket: this.bucket, Key: filename }));
+    return response.Body;
+  }
+
+  /**
+   * Delete a file from storage if it exists
+   * @param {string} filename - Name of the stored file
+   */
+  async delete(filename) {
+    await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: filename }));
+  }
+}
+
+module.exports = S3StorageDriver;
\ No newline at end of file
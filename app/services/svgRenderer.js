@@ -0,0 +1,256 @@
+/**
+ * SVG Renderer - Draws a spiral layout model as a standalone SVG image
+ * Sizes are in CSS pixels, so the image can be embedded in web pages as is
+ */
+
+const SpiralGenerator = require('./spiralGenerator');
+const themes = require('./themes');
+const { CHAR_WIDTH, ASCENT, DESCENT } = require('./layouts/vectorLayout');
+
+// Characters that must be escaped in SVG text and attributes
+const XML_ENTITIES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&apos;'
+};
+
+class SvgRenderer {
+  /**
+   * Default rendering options
+   * - fontFamily, fontWeight: monospace font of every cell, generic monospace is the fallback
+   * - fallbackFamilies: fonts tried before generic monospace for the characters the font lacks
+   * - fontSize: font size in pixels
+   * - cellRatio: width of a cell relative to the font size, measured on the font
+   * - lineHeight: height of a row relative to the font size
+   * - margin: blank border around the spiral
+   * - theme: complete theme from themes.resolveTheme, the classic theme when null
+   */
+  static get DEFAULT_OPTIONS() {
+    return {
+      fontFamily: 'DejaVu Sans Mono',
+      fallbackFamilies: [],
+      fontWeight: 'normal',
+      fontSize: 16,
+      cellRatio: 0.6,
+      lineHeight: 1.25,
+      margin: 20,
+      theme: null
+    };
+  }
+
+  /**
+   * Size of the image a layout renders to
+   * @param {Object} layout - Layout model from services/layouts
+   * @param {Object} [options] - Rendering options, see DEFAULT_OPTIONS
+   * @returns {Object} - { width, height } in pixels
+   */
+  static imageSize(layout, options = {}) {
+    const { fontSize, cellRatio, lineHeight, margin } = { ...this.DEFAULT_OPTIONS, ...options };
+
+    // Vector layouts are measured in ems
+    if (layout.type === 'vector') {
+      return {
+        width: Math.ceil(layout.width * fontSize + margin * 2),
+        height: Math.ceil(layout.height * fontSize + margin * 2)
+      };
+    }
+
+    return {
+      width: Math.ceil(layout.width * fontSize * cellRatio + margin * 2),
+      height: Math.ceil(layout.height * fontSize * lineHeight + margin * 2)
+    };
+  }
+
+  /**
+   * Render a layout model to SVG markup
+   * @param {Object} layout - Layout model from services/layouts
+   * @param {Object} [options] - Rendering options, see DEFAULT_OPTIONS
+   * @returns {string} - SVG document
+   */
+  static render(layout, options = {}) {
+    const defaults = { ...this.DEFAULT_OPTIONS, ...options };
+    const settings = { ...defaults, theme: defaults.theme || themes.resolveTheme() };
+    const { fontFamily, fallbackFamilies, fontWeight, fontSize, theme } = settings;
+    const families = [fontFamily, ...fallbackFamilies].map(family => `'${family}'`).join(', ');
+    const { width, height } = this.imageSize(layout, settings);
+    const elements = layout.type === 'vector'
+      ? this.vectorElements(layout, settings)
+      : this.gridElements(layout, settings);
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+      `<rect width="100%" height="100%" fill="${this.escape(theme.background)}"/>`,
+      `<g font-family="${this.escape(`${families}, monospace`)}" font-weight="${this.escape(fontWeight)}" font-size="${fontSize}" fill="${this.escape(theme.words.color)}" xml:space="preserve">`,
+      ...elements,
+      '</g>',
+      '</svg>',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * SVG elements of a grid layout, text on character cells
+   * @param {Object} layout - Grid layout model
+   * @param {Object} settings - Complete rendering options
+   * @returns {string[]} - SVG elements
+   */
+  static gridElements(layout, settings) {
+    const { fontSize, cellRatio, lineHeight, margin, theme } = settings;
+    const cellWidth = fontSize * cellRatio;
+    const cellHeight = fontSize * lineHeight;
+    const round = value => Math.round(value * 100) / 100;
+
+    // Text is positioned on its baseline, about 80% of the font size below the top of the row
+    const cellX = column => round(margin + column * cellWidth);
+    const baseline = row => round(margin + row * cellHeight + fontSize * 0.8);
+
+    const elements = [];
+    const draw = (text, row, column, color) => {
+      const fill = this.fill(color, theme);
+      if (/^[\x20-\x7E]*$/.test(text)) {
+        elements.push(`<text x="${cellX(column)}" y="${baseline(row)}"${fill}>${this.escape(text)}</text>`);
+        return;
+      }
+
+      // Place each grapheme on its own cells, as the PDF renderer does
+      let offset = column;
+      const spans = SpiralGenerator.graphemes(text).map(grapheme => {
+        const span = `<tspan x="${cellX(offset)}">${this.escape(grapheme)}</tspan>`;
+        offset += SpiralGenerator.graphemeWidth(grapheme);
+        return span;
+      });
+      elements.push(`<text y="${baseline(row)}"${fill}>${spans.join('')}</text>`);
+    };
+
+    if (theme.separator.style === 'text') {
+      layout.separators.forEach(separator => {
+        if (separator.orientation === 'vertical') {
+          for (let i = 0; i < separator.length; i++) {
+            draw(separator.text, separator.row + i, separator.column, theme.separator.color);
+          }
+        } else if (separator.length > 0) {
+          draw(separator.text, separator.row, separator.column, theme.separator.color);
+        }
+      });
+    } else if (layout.separators.length > 0) {
+      // Separators drawn as lines through the middle of their cells
+      const data = layout.separators.map(separator => {
+        if (separator.orientation === 'vertical') {
+          const lineX = round(margin + (separator.column + 0.5) * cellWidth);
+          return `M${lineX} ${round(margin + separator.row * cellHeight)} V${round(margin + (separator.row + separator.length) * cellHeight)}`;
+        }
+        const lineY = round(margin + (separator.row + 0.5) * cellHeight);
+        return `M${cellX(separator.column)} ${lineY} H${cellX(separator.column + separator.length)}`;
+      });
+      elements.push(this.separatorPath(data.join(' '), theme, fontSize));
+    }
+
+    if (layout.marker) {
+      const { text, row, column, width } = layout.marker;
+      if (theme.marker.highlight) {
+        elements.push(`<rect x="${cellX(column)}" y="${round(margin + row * cellHeight)}" width="${round(width * cellWidth)}" height="${round(cellHeight)}" fill="${this.escape(theme.marker.highlight)}"/>`);
+      }
+      draw(text, row, column, theme.marker.color);
+    }
+
+    layout.words.forEach(word => draw(word.text, word.row, word.column, themes.wordColor(theme, word)));
+
+    layout.snail.forEach(piece => draw(piece.text.trimEnd(), piece.row, piece.column, theme.end.color));
+
+    if (layout.end) {
+      draw(layout.end.text, layout.end.row, layout.end.column, theme.end.color);
+    }
+
+    return elements;
+  }
+
+  /**
+   * SVG elements of a vector layout, paths and glyphs rotated along them
+   * @param {Object} layout - Vector layout model
+   * @param {Object} settings - Complete rendering options
+   * @returns {string[]} - SVG elements
+   */
+  static vectorElements(layout, settings) {
+    const { fontSize, margin, theme } = settings;
+    const round = value => Math.round(value * 100) / 100;
+    // Layout coordinates are ems, offset by the margin on both axes
+    const pixels = value => round(margin + value * fontSize);
+    const pathData = path => path.type === 'circle'
+      ? `M${pixels(path.cx - path.r)} ${pixels(path.cy)} a${round(path.r * fontSize)} ${round(path.r * fontSize)} 0 1 0 ${round(path.r * fontSize * 2)} 0 a${round(path.r * fontSize)} ${round(path.r * fontSize)} 0 1 0 ${round(-path.r * fontSize * 2)} 0`
+      : path.points.map(([x, y], index) => `${index === 0 ? 'M' : 'L'}${pixels(x)} ${pixels(y)}`).join(' ');
+
+    // Guide lines thin and solid behind the words, separators in the theme style
+    const elements = layout.paths.filter(path => path.kind === 'guide').map(path =>
+      `<path d="${pathData(path)}" fill="none" stroke="${this.escape(theme.guide.color)}" stroke-width="${round(Math.max(0.5, fontSize / 20))}"/>`);
+    const separators = layout.paths.filter(path => path.kind === 'separator');
+    if (separators.length > 0) {
+      elements.push(this.separatorPath(separators.map(pathData).join(' '), theme, fontSize));
+    }
+
+    const draw = (glyphs, color, highlight = null) => glyphs.forEach(glyph => {
+      const transform = glyph.angle === 0
+        ? `translate(${pixels(glyph.x)} ${pixels(glyph.y)})`
+        : `translate(${pixels(glyph.x)} ${pixels(glyph.y)}) rotate(${glyph.angle})`;
+      const text = `<text${this.fill(color, theme)}>${this.escape(glyph.text)}</text>`;
+
+      if (highlight) {
+        const box = `<rect y="${round(-ASCENT * fontSize)}" width="${round(glyph.width * CHAR_WIDTH * fontSize)}" height="${round((ASCENT + DESCENT) * fontSize)}" fill="${this.escape(highlight)}"/>`;
+        elements.push(`<g transform="${transform}">${box}${text}</g>`);
+      } else {
+        elements.push(text.replace('<text', `<text transform="${transform}"`));
+      }
+    });
+
+    if (layout.marker) {
+      draw(layout.marker.glyphs, theme.marker.color, theme.marker.highlight);
+    }
+
+    layout.words.forEach(word => draw(word.glyphs, themes.wordColor(theme, word)));
+
+    if (layout.end) {
+      draw(layout.end.glyphs, theme.end.color);
+    }
+
+    return elements;
+  }
+
+  /**
+   * Separator lines in the style of the theme, as one SVG path
+   * @param {string} data - Path data of every separator
+   * @param {Object} theme - Complete theme
+   * @param {number} fontSize - Font size, thin lines follow it when the theme sets no thickness
+   * @returns {string} - SVG path element
+   */
+  static separatorPath(data, theme, fontSize) {
+    const round = value => Math.round(value * 100) / 100;
+    const lineWidth = theme.separator.width || Math.max(0.5, fontSize / 20);
+    const { dash, cap } = themes.strokeStyle(theme.separator.style, lineWidth);
+    const dashArray = dash ? ` stroke-dasharray="${dash.map(round).join(' ')}"` : '';
+
+    return `<path d="${data}" fill="none" stroke="${this.escape(theme.separator.color)}" stroke-width="${round(lineWidth)}" stroke-linecap="${cap}"${dashArray}/>`;
+  }
+
+  /**
+   * Fill attribute of an element, left out when the element has the default text colour
+   * @param {string} color - Element colour
+   * @param {Object} theme - Complete theme
+   * @returns {string} - Attribute with its leading space, or an empty string
+   */
+  static fill(color, theme) {
+    return color === theme.words.color ? '' : ` fill="${this.escape(color)}"`;
+  }
+
+  /**
+   * Escape text for SVG content and attributes
+   * @param {string} text - Raw text
+   * @returns {string} - Escaped text
+   */
+  static escape(text) {
+    return String(text).replace(/[&<>"']/g, char => XML_ENTITIES[char]);
+  }
+}
+
+module.exports = SvgRenderer;
\ No newline at end of file
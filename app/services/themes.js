@@ -0,0 +1,255 @@
+/**
+ * Themes - Colours and line styles spiral jobs are rendered with
+ * A job picks a built-in theme by name, or sends a theme object overriding one of them
+ */
+
+const SpiralGenerator = require('./spiralGenerator');
+
+const DEFAULT_THEME = 'classic';
+
+// Ways of drawing separators: with the separator character, or as lines
+const SEPARATOR_STYLES = ['text', 'solid', 'dashed', 'dotted'];
+
+// Word colouring modes and the directions words can be placed in, by the grid and vector layouts
+const COLOR_MODES = ['none', 'ring', 'direction'];
+const DIRECTIONS = ['center', 'up', 'right', 'down', 'left', 'clockwise', 'counterclockwise'];
+
+const MAX_RING_COLORS = 12;
+const MAX_SEPARATOR_WIDTH = 10; // points
+
+/**
+ * Built-in themes, each one complete
+ * - background: page or image background
+ * - words: default colour, colouring mode and the colours by ring (cycled) or by direction
+ * - separator: separator style, colour and thickness in points, null to follow the font size
+ * - guide: colour of the guide lines of vector layouts
+ * - marker: start marker colour and highlight behind it, null for none
+ * - end: end glyph replacing the ASCII snail, null for the snail, and its colour
+ */
+const BUILTIN_THEMES = {
+  classic: {
+    background: '#ffffff',
+    words: { color: '#000000', colorBy: 'none', ringColors: [], directionColors: {} },
+    separator: { style: 'text', color: '#000000', width: null },
+    guide: { color: '#999999' },
+    marker: { color: '#000000', highlight: null },
+    end: { glyph: null, color: '#000000' }
+  },
+  ocean: {
+    background: '#f0f7fb',
+    words: { color: '#0b3c5d', colorBy: 'ring', ringColors: ['#0b3c5d', '#1d6fa3', '#2a9d8f', '#264653', '#3d5a80'], directionColors: {} },
+    separator: { style: 'dashed', color: '#7fb3d5', width: 0.75 },
+    guide: { color: '#7fb3d5' },
+    marker: { color: '#ffffff', highlight: '#1d6fa3' },
+    end: { glyph: '~', color: '#1d6fa3' }
+  },
+  sunset: {
+    background: '#fff8f0',
+    words: {
+      color: '#9b2226',
+      colorBy: 'direction',
+      ringColors: [],
+      directionColors: { center: '#9b2226', up: '#ae2012', right: '#ca6702', down: '#bb3e03', left: '#ee9b00' }
+    },
+    separator: { style: 'dotted', color: '#e9a06b', width: 1 },
+    guide: { color: '#e9a06b' },
+    marker: { color: '#ffffff', highlight: '#ae2012' },
+    end: { glyph: '*', color: '#ae2012' }
+  },
+  blueprint: {
+    background: '#0b3d91',
+    words: { color: '#ffffff', colorBy: 'none', ringColors: [], directionColors: {} },
+    separator: { style: 'solid', color: '#8fb8ff', width: 0.5 },
+    guide: { color: '#5b86d6' },
+    marker: { color: '#0b3d91', highlight: '#ffffff' },
+    end: { glyph: null, color: '#ffffff' }
+  },
+  print: {
+    background: '#ffffff',
+    words: { color: '#000000', colorBy: 'none', ringColors: [], directionColors: {} },
+    separator: { style: 'solid', color: '#000000', width: 0.5 },
+    guide: { color: '#666666' },
+    marker: { color: '#ffffff', highlight: '#000000' },
+    end: { glyph: '#', color: '#000000' }
+  }
+};
+
+// Names of the theme sections, which an override replaces key by key
+const SECTIONS = ['words', 'separator', 'guide', 'marker', 'end'];
+
+/**
+ * Check a colour, only hex colours are accepted so they are valid in PDF and SVG alike
+ * @param {*} value - Value to check
+ * @param {string} name - Option name, for the error message
+ * @throws {Error} - When the value is not a hex colour
+ */
+function checkColor(value, name) {
+  if (typeof value !== 'string' || !/^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i.test(value)) {
+    throw new Error(`${name} must be a hex colour such as "#1d6fa3"`);
+  }
+}
+
+/**
+ * Check that an object only has known keys
+ * @param {Object} value - Object to check
+ * @param {string[]} keys - Known keys
+ * @param {string} name - Object name, for the error message
+ * @throws {Error} - When the value is not an object or has unknown keys
+ */
+function checkKeys(value, keys, name) {
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error(`${name} must be an object`);
+  }
+
+  const unknown = Object.keys(value).filter(key => !keys.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`${name} has unknown option "${unknown[0]}", expected one of: ${keys.join(', ')}`);
+  }
+}
+
+/**
+ * Validate a complete theme
+ * @param {Object} theme - Theme to check
+ * @throws {Error} - When an option has an invalid value
+ */
+function validateTheme(theme) {
+  const { words, separator, guide, marker, end } = theme;
+
+  checkColor(theme.background, 'background');
+
+  checkColor(words.color, 'words.color');
+  if (!COLOR_MODES.includes(words.colorBy)) {
+    throw new Error(`words.colorBy must be one of: ${COLOR_MODES.join(', ')}`);
+  }
+  if (!Array.isArray(words.ringColors) || words.ringColors.length > MAX_RING_COLORS) {
+    throw new Error(`words.ringColors must be an array of at most ${MAX_RING_COLORS} colours`);
+  }
+  words.ringColors.forEach((color, index) => checkColor(color, `words.ringColors[${index}]`));
+  checkKeys(words.directionColors, DIRECTIONS, 'words.directionColors');
+  Object.entries(words.directionColors).forEach(([direction, color]) => checkColor(color, `words.directionColors.${direction}`));
+  if (words.colorBy === 'ring' && words.ringColors.length === 0) {
+    throw new Error('words.ringColors must list at least one colour to colour words by ring');
+  }
+
+  if (!SEPARATOR_STYLES.includes(separator.style)) {
+    throw new Error(`separator.style must be one of: ${SEPARATOR_STYLES.join(', ')}`);
+  }
+  checkColor(separator.color, 'separator.color');
+  if (separator.width !== null &&
+      (typeof separator.width !== 'number' || !(separator.width > 0) || separator.width > MAX_SEPARATOR_WIDTH)) {
+    throw new Error(`separator.width must be a number of points up to ${MAX_SEPARATOR_WIDTH}, or null`);
+  }
+
+  checkColor(guide.color, 'guide.color');
+
+  checkColor(marker.color, 'marker.color');
+  if (marker.highlight !== null) {
+    checkColor(marker.highlight, 'marker.highlight');
+  }
+
+  // The end glyph follows the same rules as the endGlyph spiral option
+  SpiralGenerator.normalizeOptions({ endGlyph: end.glyph });
+  checkColor(end.color, 'end.color');
+}
+
+/**
+ * Copy a theme, so resolved themes never share objects with the built-in ones
+ * @param {Object} theme - Theme to copy
+ * @returns {Object} - Deep copy
+ */
+function copyTheme(theme) {
+  return JSON.parse(JSON.stringify(theme));
+}
+
+/**
+ * List the built-in themes
+ * @returns {Object[]} - { id, theme } for each theme
+ */
+function listThemes() {
+  return Object.entries(BUILTIN_THEMES).map(([id, theme]) => ({ id, theme: copyTheme(theme) }));
+}
+
+/**
+ * Resolve the theme of a job into a complete theme
+ * @param {string|Object} [input] - Built-in theme name, or an object { base, background, words, separator,
+ *   guide, marker, end } overriding the options of the base theme (classic by default) section by section
+ * @returns {Object} - Complete theme, with its name: the built-in name, or 'custom' for overrides
+ * @throws {Error} - When the theme is unknown or an option has an invalid value
+ */
+function resolveTheme(input) {
+  if (input === undefined || input === null) {
+    return { name: DEFAULT_THEME, ...copyTheme(BUILTIN_THEMES[DEFAULT_THEME]) };
+  }
+
+  const builtin = name => {
+    if (typeof name !== 'string' || !Object.prototype.hasOwnProperty.call(BUILTIN_THEMES, name)) {
+      throw new Error(`Unknown theme "${name}", expected one of: ${Object.keys(BUILTIN_THEMES).join(', ')}`);
+    }
+    return copyTheme(BUILTIN_THEMES[name]);
+  };
+
+  if (typeof input === 'string') {
+    return { name: input, ...builtin(input) };
+  }
+
+  checkKeys(input, ['base', 'background', ...SECTIONS], 'Theme');
+
+  const theme = builtin(input.base === undefined ? DEFAULT_THEME : input.base);
+  if (input.background !== undefined) {
+    theme.background = input.background;
+  }
+  SECTIONS.forEach(section => {
+    if (input[section] !== undefined) {
+      checkKeys(input[section], Object.keys(theme[section]), section);
+      theme[section] = { ...theme[section], ...input[section] };
+    }
+  });
+
+  validateTheme(theme);
+
+  return { name: 'custom', ...theme };
+}
+
+/**
+ * Colour of a word
+ * @param {Object} theme - Complete theme
+ * @param {Object} word - Word of a layout model, with its ring and direction
+ * @returns {string} - Hex colour
+ */
+function wordColor(theme, word) {
+  const { color, colorBy, ringColors, directionColors } = theme.words;
+
+  if (colorBy === 'ring') {
+    return ringColors[word.ring % ringColors.length];
+  }
+  if (colorBy === 'direction') {
+    return directionColors[word.direction] || color;
+  }
+  return color;
+}
+
+/**
+ * Dash pattern of a line style, shared by the PDF and SVG renderers
+ * @param {string} style - Separator style
+ * @param {number} width - Line thickness
+ * @returns {Object} - { dash: [length, space] or null for solid lines, cap: 'butt' or 'round' }
+ */
+function strokeStyle(style, width) {
+  switch (style) {
+    case 'dashed':
+      return { dash: [width * 4, width * 3], cap: 'butt' };
+    case 'dotted':
+      // Round caps turn very short dashes into dots
+      return { dash: [width / 100, width * 2.5], cap: 'round' };
+    default:
+      return { dash: null, cap: 'butt' };
+  }
+}
+
+module.exports = {
+  DEFAULT_THEME,
+  listThemes,
+  resolveTheme,
+  strokeStyle,
+  wordColor
+};
\ No newline at end of file
@@ -0,0 +1,367 @@
+/**
+ * Webhook Service - Delivers signed job callbacks to client-provided URLs
+ * Payloads are signed with HMAC-SHA256 so receivers can verify they come from this server.
+ * Callbacks to loopback, private and link-local addresses are refused unless the host is allowlisted,
+ * and the retry state lives on the job so pending deliveries survive a restart.
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const PDFJob = require('../models/PDFJob');
+
+// Address ranges a callback must never reach: loopback, private, link-local, shared, reserved and multicast.
+// IPv4-mapped IPv6 addresses are checked against the IPv4 ranges by BlockList itself.
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'],
+  ['240.0.0.0', 4, 'ipv4'],
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['64:ff9b::', 96, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6']
+].forEach(([address, prefix, type]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, type));
+
+/**
+ * Check whether an IP address belongs to a range callbacks must not reach
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True if the address is loopback, private, link-local or otherwise reserved
+ */
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) {
+    return false;
+  }
+  return BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Host name of a URL without the brackets around IPv6 literals
+ * @param {URL} url - Parsed URL
+ * @returns {string} Lowercase host name or IP address
+ */
+function getHostname(url) {
+  return url.hostname.replace(/^\[(.*)\]$/, '$1').toLowerCase();
+}
+
+class WebhookService {
+  /**
+   * @param {Object} [options] - Delivery options
+   * @param {string} [options.secret] - Shared secret used to sign payloads
+   * @param {number} [options.maxAttempts] - Delivery attempts before giving up
+   * @param {string} [options.publicBaseUrl] - Base URL used to build download links
+   * @param {string[]} [options.allowedHosts] - Hosts that may be called even if they resolve to private addresses
+   */
+  constructor(options = {}) {
+    this.secret = options.secret || process.env.WEBHOOK_SECRET || null;
+    this.maxAttempts = options.maxAttempts || parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5;
+    this.retryBaseDelay = 2000; // 2 seconds, doubled on every attempt
+    this.requestTimeout = 10000; // 10 seconds
+    this.deliveryLease = 3 * this.requestTimeout; // Another instance may retry a claimed delivery after this
+    this.sweepInterval = 15000; // 15 seconds
+    this.publicBaseUrl = (options.publicBaseUrl || process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 3001}`)
+      .replace(/\/+$/, '');
+    this.allowedHosts = new Set((options.allowedHosts || (process.env.WEBHOOK_ALLOWED_HOSTS || '').split(','))
+      .map(host => host.trim().replace(/^\[(.*)\]$/, '$1').toLowerCase())
+      .filter(Boolean));
+    this.intervalId = null;
+    this.retryTimers = new Set();
+    this.isDelivering = false;
+    this.rescanRequested = false;
+  }
+
+  /**
+   * Check whether callbacks can be signed, and therefore accepted
+   * @returns {boolean} True if a webhook secret is configured
+   */
+  isEnabled() {
+    return Boolean(this.secret);
+  }
+
+  /**
+   * Start the periodic sweep of due deliveries, including those left pending by a previous run
+   */
+  start() {
+    if (this.intervalId || !this.isEnabled()) {
+      return;
+    }
+
+    this.processDueDeliveries();
+
+    this.intervalId = setInterval(() => {
+      this.processDueDeliveries();
+    }, this.sweepInterval);
+  }
+
+  /**
+   * Stop the periodic sweep, pending deliveries stay stored on their jobs
+   */
+  stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+      this.retryTimers.forEach(timer => clearTimeout(timer));
+      this.retryTimers.clear();
+    }
+  }
+
+  /**
+   * Validate a callback URL submitted by a client.
+   * Host names are resolved again on every delivery, see lookup().
+   * @param {string} callbackUrl - URL to validate
+   * @returns {boolean} True if the URL is an absolute http(s) URL that does not target a private address
+   */
+  isValidCallbackUrl(callbackUrl) {
+    if (typeof callbackUrl !== 'string') {
+      return false;
+    }
+
+    let url;
+    try {
+      url = new URL(callbackUrl);
+    } catch (error) {
+      return false;
+    }
+
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      return false;
+    }
+
+    const hostname = getHostname(url);
+    if (this.allowedHosts.has(hostname)) {
+      return true;
+    }
+
+    return !isPrivateAddress(hostname) && hostname !== 'localhost' && !hostname.endsWith('.localhost');
+  }
+
+  /**
+   * DNS lookup used for callback requests, refusing hosts that resolve to a private address.
+   * Resolving here pins the connection to the checked address, so a second lookup cannot rebind it.
+   * @param {string} hostname - Host name to resolve
+   * @param {Object} options - Lookup options passed by the socket
+   * @param {Function} callback - Node-style lookup callback
+   */
+  lookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+      if (error) {
+        return callback(error);
+      }
+
+      const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+      if (blocked && !this.allowedHosts.has(hostname.toLowerCase())) {
+        return callback(new Error(`Callback host ${hostname} resolves to private address ${blocked.address}`));
+      }
+
+      if (options.all) {
+        return callback(null, addresses);
+      }
+      callback(null, addresses[0].address, addresses[0].family);
+    });
+  }
+
+  /**
+   * POST a body to a callback URL without following redirects
+   * @param {string} callbackUrl - Validated callback URL
+   * @param {Object} headers - Request headers
+   * @param {string} body - Serialized JSON body
+   * @returns {Promise<Object>} Response status code and message
+   */
+  post(callbackUrl, headers, body) {
+    return new Promise((resolve, reject) => {
+      const url = new URL(callbackUrl);
+      const client = url.protocol === 'https:' ? https : http;
+      const request = client.request(url, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        lookup: this.lookup.bind(this),
+        agent: false, // A pooled socket would skip the lookup check
+        signal: AbortSignal.timeout(this.requestTimeout)
+      }, response => {
+        response.resume();
+        resolve({ status: response.statusCode, statusText: response.statusMessage });
+      });
+
+      request.on('error', reject);
+      request.end(body);
+    });
+  }
+
+  /**
+   * Build the JSON payload sent for a finished job
+   * @param {Object} job - PDFJob document in a final status
+   * @returns {Object} Webhook payload
+   */
+  buildPayload(job) {
+    const payload = {
+      event: job.status === 'completed' ? 'job.completed' : 'job.failed',
+      jobId: job.jobId,
+      status: job.status,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt
+    };
+
+    if (job.status === 'completed') {
+      payload.downloadUrl = `${this.publicBaseUrl}/api/pdf/download/${encodeURIComponent(job.jobId)}`;
+      payload.checksum = job.checksum;
+      payload.checksumAlgorithm = 'sha256';
+    } else {
+      payload.errorMessage = job.errorMessage;
+    }
+
+    return payload;
+  }
+
+  /**
+   * Sign a payload body
+   * @param {string} timestamp - Unix timestamp (seconds) sent along with the request
+   * @param {string} body - Serialized JSON body
+   * @returns {string} Signature header value
+   */
+  sign(timestamp, body) {
+    const digest = crypto.createHmac('sha256', this.secret)
+      .update(`${timestamp}.${body}`)
+      .digest('hex');
+    return `sha256=${digest}`;
+  }
+
+  /**
+   * Deliver the callbacks that are due, one job at a time, until none is left.
+   * Every job is claimed atomically so instances sharing the queue never deliver the same attempt twice.
+   */
+  async processDueDeliveries() {
+    if (this.isDelivering) {
+      this.rescanRequested = true;
+      return;
+    }
+
+    this.isDelivering = true;
+
+    try {
+      do {
+        this.rescanRequested = false;
+
+        let job;
+        while ((job = await PDFJob.claimDueCallback(this.deliveryLease))) {
+          await this.deliver(job);
+        }
+      } while (this.rescanRequested);
+    } catch (error) {
+      console.error('Error delivering webhooks:', error);
+    } finally {
+      this.isDelivering = false;
+    }
+  }
+
+  /**
+   * Make one delivery attempt for a claimed job and schedule the next one with exponential backoff.
+   * Every attempt is recorded in the job delivery log.
+   * @param {Object} job - PDFJob document in a final status with a callbackUrl, as returned by claimDueCallback
+   * @returns {Promise<boolean>} True if the callback was delivered
+   */
+  async deliver(job) {
+    const attempt = job.callbackAttempts;
+    const payload = this.buildPayload(job);
+    const body = JSON.stringify(payload);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const delivery = {
+      attempt,
+      event: payload.event,
+      statusCode: null,
+      error: null,
+      attemptedAt: new Date()
+    };
+
+    try {
+      if (!this.isValidCallbackUrl(job.callbackUrl)) {
+        throw new Error('Callback URL targets a private address');
+      }
+
+      const response = await this.post(job.callbackUrl, {
+        'Content-Type': 'application/json',
+        'X-Webhook-Event': payload.event,
+        'X-Webhook-Timestamp': timestamp,
+        'X-Webhook-Signature': this.sign(timestamp, body)
+      }, body);
+
+      delivery.statusCode = response.status;
+      if (response.status < 200 || response.status >= 300) {
+        delivery.error = `HTTP ${response.status}: ${response.statusText}`;
+      }
+    } catch (error) {
+      delivery.error = error.message;
+    }
+
+    const delay = delivery.error && attempt < this.maxAttempts
+      ? this.retryBaseDelay * Math.pow(2, attempt - 1)
+      : null;
+
+    await this.recordDelivery(job.jobId, delivery, delay === null ? null : new Date(Date.now() + delay));
+
+    if (!delivery.error) {
+      console.log(`Webhook for job ${job.jobId} delivered on attempt ${attempt}`);
+      return true;
+    }
+
+    console.warn(`Webhook for job ${job.jobId} attempt ${attempt}/${this.maxAttempts} failed: ${delivery.error}`);
+
+    if (delay !== null) {
+      this.scheduleRetry(delay);
+    } else {
+      console.error(`Webhook for job ${job.jobId} gave up after ${attempt} attempts`);
+    }
+    return false;
+  }
+
+  /**
+   * Wake up the sweep when a retry becomes due, the periodic sweep picks it up otherwise
+   * @param {number} delay - Delay in milliseconds
+   */
+  scheduleRetry(delay) {
+    if (!this.intervalId) {
+      return;
+    }
+
+    const timer = setTimeout(() => {
+      this.retryTimers.delete(timer);
+      this.processDueDeliveries();
+    }, delay);
+    this.retryTimers.add(timer);
+  }
+
+  /**
+   * Append a delivery attempt to the job delivery log and store when the next one is due
+   * @param {string} jobId - Job ID
+   * @param {Object} delivery - Delivery attempt details
+   * @param {Date|null} nextAttemptAt - Time of the next attempt, null when delivered or given up
+   */
+  async recordDelivery(jobId, delivery, nextAttemptAt) {
+    try {
+      const update = {
+        $push: { callbackDeliveries: delivery },
+        $set: { callbackNextAttemptAt: nextAttemptAt }
+      };
+      if (!delivery.error) {
+        update.$set.callbackDeliveredAt = delivery.attemptedAt;
+      }
+      await PDFJob.updateOne({ jobId }, update);
+    } catch (error) {
+      console.error(`Error recording webhook delivery for job ${jobId}:`, error);
+    }
+  }
+}
+
+module.exports = WebhookService;
\ No newline at end of file
@@ -0,0 +1,500 @@
+/**
+ * Normalizers - String normalization algorithms shared by the browser and the server
+ * Loaded with require() on the server and as a script or module by the pages, where it defines
+ * window.Normalizers, so both sides normalize strings with the same code
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.Normalizers = factory();
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  'use strict';
+
+  // Delimiter pairs peeled by the brackets algorithm: round brackets only, or every bracket type
+  const ROUND_DELIMITERS = ['()'];
+  const MIXED_DELIMITERS = ['()', '[]', '{}', '<>'];
+  const MAX_DELIMITERS = 16;
+
+  // Limits of a normalization request, checked by the server and by the pages before they send a table
+  const MAX_INPUTS = 10000;
+  const MAX_INPUT_LENGTH = 10000; // characters
+  const MAX_TOTAL_LENGTH = 1000000; // characters of all the inputs together
+
+  /**
+   * Map each opening delimiter to its closing one
+   * @param {string[]} [delimiters] - Pairs written as two characters, opening then closing, e.g. '[]'
+   * @returns {Map<string, string>} - Closing delimiter by opening delimiter
+   * @throws {Error} - When a pair is malformed or a character belongs to two pairs
+   */
+  function delimiterMap(delimiters = ROUND_DELIMITERS) {
+    if (!Array.isArray(delimiters) || delimiters.length === 0 || delimiters.length > MAX_DELIMITERS) {
+      throw new Error(`delimiters must be a non-empty array of at most ${MAX_DELIMITERS} pairs`);
+    }
+
+    const closers = new Map();
+    const used = new Set();
+    for (const pair of delimiters) {
+      const chars = typeof pair === 'string' ? Array.from(pair) : [];
+      if (chars.length !== 2 || chars[0] === chars[1] || chars.some(char => /\s/.test(char))) {
+        throw new Error(`Delimiter pair "${pair}" must be two different characters, opening then closing, e.g. "[]"`);
+      }
+      if (chars.some(char => used.has(char))) {
+        throw new Error(`Delimiter pair "${pair}" reuses a character of another pair`);
+      }
+
+      chars.forEach(char => used.add(char));
+      closers.set(chars[0], chars[1]);
+    }
+
+    return closers;
+  }
+
+  /**
+   * Find the first problem of the brackets inside a string
+   * @param {string[]} chars - Characters of the string
+   * @param {Map<string, string>} closers - Delimiter pairs from delimiterMap
+   * @returns {string|null} - Description of the problem, null if brackets are balanced and properly nested
+   */
+  function bracketProblem(chars, closers) {
+    const closing = new Set(closers.values());
+    const open = [];
+
+    for (let index = 0; index < chars.length; index++) {
+      const char = chars[index];
+      if (closers.has(char)) {
+        open.push(index);
+      } else if (closing.has(char)) {
+        // A closing delimiter must close the innermost open one, so "([)]" is not nested
+        if (open.length === 0) {
+          return `"${char}" at position ${index + 1} closes nothing`;
+        }
+        const expected = closers.get(chars[open[open.length - 1]]);
+        if (char !== expected) {
+          return `"${char}" at position ${index + 1} comes before "${expected}"`;
+        }
+        open.pop();
+      }
+    }
+
+    return open.length === 0 ? null : `"${chars[open[0]]}" at position ${open[0] + 1} is never closed`;
+  }
+
+  /**
+   * Pair every bracket with the one closing it, in a single pass
+   * A closing delimiter that doesn't close the innermost open one empties the stack: no balanced
+   * substring can contain it, so no bracket before it pairs with one after it
+   * @param {string[]} chars - Characters of the string
+   * @param {Map<string, string>} closers - Delimiter pairs from delimiterMap
+   * @returns {number[]} - Index of the partner of each character, -1 when it has none
+   */
+  function matchBrackets(chars, closers) {
+    const closing = new Set(closers.values());
+    const partners = new Array(chars.length).fill(-1);
+    const open = [];
+
+    for (let index = 0; index < chars.length; index++) {
+      const char = chars[index];
+      if (closers.has(char)) {
+        open.push(index);
+      } else if (closing.has(char) && open.length > 0) {
+        const opening = open.pop();
+        if (closers.get(chars[opening]) === char) {
+          partners[opening] = index;
+          partners[index] = opening;
+        } else {
+          open.length = 0;
+        }
+      }
+    }
+
+    return partners;
+  }
+
+  /**
+   * Check if internal brackets are balanced and properly nested
+   * @param {string|string[]} word - The string to check, or its characters
+   * @param {Map<string, string>} [closers] - Delimiter pairs from delimiterMap, round brackets by default
+   * @returns {boolean} - True if brackets are balanced
+   */
+  function checkInternalBrackets(word, closers = delimiterMap()) {
+    return bracketProblem(Array.from(word), closers) === null;
+  }
+
+  /**
+   * Explain why peeling stopped, for traces
+   * @param {string[]} chars - Characters left
+   * @returns {{reason: string, message: string}|null} - Stop of a string too short to peel, null otherwise
+   */
+  function shortStop(chars) {
+    if (chars.length === 0) {
+      return { reason: 'empty', message: 'Nothing is left to peel' };
+    }
+    if (chars.length === 1) {
+      return { reason: 'single', message: `Only "${chars[0]}" is left, a single character has no pair` };
+    }
+    return null;
+  }
+
+  /**
+   * Record the start of a trace
+   * @param {Object|null} trace - Trace to fill, see explain
+   * @param {string[]} chars - Characters before the first step
+   */
+  function startTrace(trace, chars) {
+    if (trace) {
+      trace.start = chars.join('');
+      trace.steps = [];
+      trace.stop = null;
+    }
+  }
+
+  /**
+   * Record a peel step of a trace
+   * @param {Object|null} trace - Trace to fill, see explain
+   * @param {string} first - Character removed at the start
+   * @param {string} last - Character removed at the end
+   */
+  function traceStep(trace, first, last) {
+    if (trace) {
+      trace.steps.push({ removed: [first, last] });
+    }
+  }
+
+  /**
+   * Normalize brackets in a string
+   * @param {string} input - The input string to normalize
+   * @param {Object} [options] - Algorithm options
+   * @param {string[]} [options.delimiters] - Delimiter pairs to peel, round brackets by default
+   * @param {Object} [trace] - Filled with the peel steps and the reason the loop stopped, see explain
+   * @returns {string} - The normalized string
+   * @throws {Error} - When the delimiters are invalid
+   */
+  function normalizeBrackets(input, options = {}, trace = null) {
+    const closers = delimiterMap(options.delimiters);
+
+    if (!input || typeof input !== 'string') {
+      startTrace(trace, []);
+      if (trace) trace.stop = shortStop([]);
+      return '';
+    }
+
+    // Work on characters, so delimiters outside the Basic Multilingual Plane peel as one
+    const all = Array.from(input.trim());
+    startTrace(trace, all);
+
+    // Remove outer brackets while they match and internal brackets are balanced: with the outer layers
+    // already removed, that is exactly when the first bracket is paired with the last one
+    const partners = matchBrackets(all, closers);
+    let start = 0;
+    let end = all.length - 1;
+    while (start < end && partners[start] === end) {
+      traceStep(trace, all[start], all[end]);
+      start++;
+      end--;
+    }
+
+    const chars = all.slice(start, end + 1);
+    if (trace) {
+      trace.stop = shortStop(chars) || bracketsStop(chars, closers);
+    }
+
+    return chars.join('');
+  }
+
+  /**
+   * Explain why the brackets of a string can't be peeled
+   * @param {string[]} chars - Characters left, at least two
+   * @param {Map<string, string>} closers - Delimiter pairs from delimiterMap
+   * @returns {{reason: string, message: string}} - Stop of the trace
+   */
+  function bracketsStop(chars, closers) {
+    const first = chars[0];
+    const last = chars[chars.length - 1];
+
+    if (!closers.has(first)) {
+      return { reason: 'no-opening', message: `The first character "${first}" is not an opening bracket` };
+    }
+    if (closers.get(first) !== last) {
+      return { reason: 'mismatch', message: `"${first}" is closed by "${closers.get(first)}", not by the last character "${last}"` };
+    }
+
+    const interior = chars.slice(1, -1);
+    return {
+      reason: 'unbalanced',
+      message: `The brackets inside "${interior.join('')}" are not balanced: ${bracketProblem(interior, closers)}`
+    };
+  }
+
+  // Pair maps of the pairs algorithms: each letter of the first half of an alphabet pairs with its mirror
+  // in the second half (a-z, b-y, ...); the middle letter of an odd alphabet has no pair
+  // Aliases are compared as the letter they stand for, like the Greek final sigma
+  const PAIR_MAPS = {
+    en: { name: 'English', label: 'EN', set: 'the English alphabet', alphabet: 'abcdefghijklmnopqrstuvwxyz' },
+    it: { name: 'Italian', label: 'IT', set: 'the Italian 21-letter alphabet', alphabet: 'abcdefghilmnopqrstuvz' },
+    el: { name: 'Greek', label: 'EL', set: 'the Greek alphabet', alphabet: 'αβγδεζηθικλμνξοπρστυφχψω', aliases: { 'ς': 'σ' } },
+    ru: { name: 'Cyrillic', label: 'RU', set: 'the Russian Cyrillic alphabet', alphabet: 'абвгдеёжзийклмнопрстуфхцчшщъыьэюя' },
+    digits: { name: 'Digits', label: 'Digits', set: 'the digits', alphabet: '0123456789' },
+    custom: { name: 'Custom', label: 'Custom', set: 'user-defined pairs', alphabet: null }
+  };
+  const MAX_PAIRS = 64;
+
+  /**
+   * Pair the letters of an alphabet with their mirror
+   * @param {string} alphabet - Letters in order
+   * @returns {string[]} - Pairs written as two characters, first half letter then its mirror, e.g. 'az'
+   */
+  function mirrorPairs(alphabet) {
+    const letters = Array.from(alphabet);
+    const half = Math.floor(letters.length / 2);
+    return letters.slice(0, half).map((letter, index) => letter + letters[letters.length - 1 - index]);
+  }
+
+  /**
+   * Map each opening letter to its closing one
+   * @param {string[]} pairs - Pairs written as two characters, opening then closing, e.g. 'az'
+   * @returns {Map<string, string>} - Closing letter by opening letter, lowercase
+   * @throws {Error} - When a pair is malformed or a letter opens two pairs
+   */
+  function pairMap(pairs) {
+    if (!Array.isArray(pairs) || pairs.length > MAX_PAIRS) {
+      throw new Error(`pairs must be an array of at most ${MAX_PAIRS} pairs`);
+    }
+
+    const closers = new Map();
+    for (const pair of pairs) {
+      // Inputs are compared in lowercase, so are the pairs
+      const chars = typeof pair === 'string' ? Array.from(pair.toLowerCase()) : [];
+      if (chars.length !== 2 || chars.some(char => /\s/.test(char))) {
+        throw new Error(`Pair "${pair}" must be two characters, the first letter then its pair, e.g. "az"`);
+      }
+      if (closers.has(chars[0])) {
+        throw new Error(`Pair "${pair}" starts with the same letter as another pair`);
+      }
+
+      closers.set(chars[0], chars[1]);
+    }
+
+    return closers;
+  }
+
+  /**
+   * Get a pair map
+   * @param {string} id - Map id, e.g. 'it'
+   * @returns {{id: string, name: string, label: string, pairs: string[]|null}|null} - The map, pairs are null
+   *   for the custom map whose pairs come from the algorithm options, null if unknown
+   */
+  function getPairMap(id) {
+    if (typeof id !== 'string' || !Object.prototype.hasOwnProperty.call(PAIR_MAPS, id)) {
+      return null;
+    }
+
+    const { name, label, alphabet } = PAIR_MAPS[id];
+    return { id, name, label, pairs: alphabet ? mirrorPairs(alphabet) : null };
+  }
+
+  /**
+   * List the pair maps
+   * @returns {Array<{id: string, name: string, label: string, pairs: string[]|null}>} - The maps
+   */
+  function listPairMaps() {
+    return Object.keys(PAIR_MAPS).map(id => getPairMap(id));
+  }
+
+  /**
+   * Normalize letter pairs in a string
+   * @param {string} input - The input string to normalize
+   * @param {Map<string, string>} closers - Pairs from pairMap
+   * @param {Object} [aliases] - Letters compared as another letter
+   * @param {Object} [trace] - Filled with the peel steps and the reason the loop stopped, see explain
+   * @returns {string} - The normalized string
+   */
+  function normalizePairs(input, closers, aliases = {}, trace = null) {
+    if (!input || typeof input !== 'string') {
+      startTrace(trace, []);
+      if (trace) trace.stop = shortStop([]);
+      return '';
+    }
+
+    // Convert to lowercase and trim, working on characters so letters outside the Basic Multilingual Plane count as one
+    const all = Array.from(input.toLowerCase().trim());
+    const letter = char => aliases[char] || char;
+    startTrace(trace, all);
+
+    // Remove pairs from both ends while they match
+    let start = 0;
+    let end = all.length - 1;
+    while (start < end && closers.get(letter(all[start])) === letter(all[end])) {
+      traceStep(trace, all[start], all[end]);
+      start++;
+      end--;
+    }
+
+    const chars = all.slice(start, end + 1);
+
+    if (trace) {
+      const first = chars[0];
+      trace.stop = shortStop(chars) || (closers.has(letter(first))
+        ? { reason: 'mismatch', message: `"${first}" pairs with "${closers.get(letter(first))}", not with the last character "${chars[chars.length - 1]}"` }
+        : { reason: 'no-pair', message: `The first character "${first}" does not start a pair` });
+    }
+
+    return chars.join('');
+  }
+
+  // Pairs of the built-in maps, built once
+  const BUILTIN_CLOSERS = {};
+  Object.keys(PAIR_MAPS).filter(id => PAIR_MAPS[id].alphabet).forEach(id => {
+    BUILTIN_CLOSERS[id] = pairMap(mirrorPairs(PAIR_MAPS[id].alphabet));
+  });
+
+  /**
+   * Normalize English pairs in a string
+   * @param {string} input - The input string to normalize
+   * @returns {string} - The normalized string
+   */
+  function normalizePairsEN(input) {
+    return normalizePairs(input, BUILTIN_CLOSERS.en);
+  }
+
+  // Available algorithms by id, the id is also the page that offers them
+  // Options not sent by a caller take the algorithm defaults, checkOptions rejects invalid ones
+  const ALGORITHMS = {
+    'brackets': {
+      name: 'Brackets',
+      description: 'Removes matching outer brackets while the brackets inside stay balanced and properly nested',
+      defaultOptions: { delimiters: ROUND_DELIMITERS },
+      checkOptions: options => delimiterMap(options.delimiters),
+      normalize: normalizeBrackets
+    }
+  };
+
+  // One pairs algorithm per map, 'pairs-en' and so on; the custom map takes its pairs from the options
+  Object.keys(PAIR_MAPS).forEach(id => {
+    const { label, set, alphabet, aliases } = PAIR_MAPS[id];
+    ALGORITHMS[`pairs-${id}`] = alphabet ? {
+      name: `Pairs-${label}`,
+      description: `Removes characters from both ends while they form a mirrored pair of ${set} ` +
+        `(${mirrorPairs(alphabet).slice(0, 2).map(pair => Array.from(pair).join('-')).join(', ')}, ...)`,
+      defaultOptions: {},
+      checkOptions: () => {},
+      normalize: (input, options, trace) => normalizePairs(input, BUILTIN_CLOSERS[id], aliases, trace)
+    } : {
+      name: `Pairs-${label}`,
+      description: `Removes characters from both ends while they form one of the ${set}`,
+      defaultOptions: { pairs: [] },
+      checkOptions: options => pairMap(options.pairs),
+      normalize: (input, options, trace) => normalizePairs(input, pairMap(options.pairs), {}, trace)
+    };
+  });
+
+  /**
+   * List the available algorithms
+   * @returns {Array<{id: string, name: string, description: string, defaultOptions: Object}>} - The algorithms
+   */
+  function listAlgorithms() {
+    return Object.keys(ALGORITHMS).map(id => getAlgorithm(id));
+  }
+
+  /**
+   * Get the description of an algorithm
+   * @param {string} id - Algorithm id
+   * @returns {{id: string, name: string, description: string, defaultOptions: Object}|null} - The algorithm, null if unknown
+   */
+  function getAlgorithm(id) {
+    if (typeof id !== 'string' || !Object.prototype.hasOwnProperty.call(ALGORITHMS, id)) {
+      return null;
+    }
+
+    const { name, description, defaultOptions } = ALGORITHMS[id];
+    return { id, name, description, defaultOptions: JSON.parse(JSON.stringify(defaultOptions)) };
+  }
+
+  /**
+   * Validate the options of an algorithm and fill in the defaults
+   * @param {string} id - Algorithm id
+   * @param {Object} [options] - Options to check, the defaults when missing
+   * @returns {Object} - Complete options
+   * @throws {Error} - When the algorithm is unknown or an option is invalid
+   */
+  function resolveOptions(id, options) {
+    const algorithm = getAlgorithm(id);
+    if (!algorithm) {
+      throw new Error(`Unknown algorithm "${id}", expected one of: ${Object.keys(ALGORITHMS).join(', ')}`);
+    }
+
+    if (options === undefined || options === null) {
+      return algorithm.defaultOptions;
+    }
+
+    if (typeof options !== 'object' || Array.isArray(options)) {
+      throw new Error('Algorithm options must be an object');
+    }
+
+    const keys = Object.keys(algorithm.defaultOptions);
+    const unknown = Object.keys(options).find(key => !keys.includes(key));
+    if (unknown) {
+      throw new Error(keys.length > 0
+        ? `Unknown option "${unknown}" for ${id}, expected one of: ${keys.join(', ')}`
+        : `The ${id} algorithm has no options`);
+    }
+
+    const resolved = { ...algorithm.defaultOptions, ...options };
+    ALGORITHMS[id].checkOptions(resolved);
+    return resolved;
+  }
+
+  /**
+   * Normalize a string with an algorithm
+   * @param {string} id - Algorithm id
+   * @param {string} input - The input string to normalize
+   * @param {Object} [options] - Algorithm options, see resolveOptions
+   * @returns {string} - The normalized string
+   * @throws {Error} - When the algorithm is unknown or an option is invalid
+   */
+  function normalize(id, input, options = undefined) {
+    const resolved = resolveOptions(id, options);
+    return ALGORITHMS[id].normalize(input, resolved);
+  }
+
+  /**
+   * Normalize a string with an algorithm and explain each step
+   * @param {string} id - Algorithm id
+   * @param {string} input - The input string to normalize
+   * @param {Object} [options] - Algorithm options, see resolveOptions
+   * @returns {{normalized: string, trace: {start: string, steps: Array<{removed: string[]}>,
+   *   stop: {reason: string, message: string}}}} - The normalized string, and the trace: the string once trimmed
+   *   (and lowercased for pairs), the first and last character removed by each step, and why peeling stopped;
+   *   step n leaves the start without its n first and n last characters
+   * @throws {Error} - When the algorithm is unknown or an option is invalid
+   */
+  function explain(id, input, options = undefined) {
+    const resolved = resolveOptions(id, options);
+    const trace = {};
+    const normalized = ALGORITHMS[id].normalize(input, resolved, trace);
+    return { normalized, trace };
+  }
+
+  return {
+    MAX_INPUTS,
+    MAX_INPUT_LENGTH,
+    MAX_TOTAL_LENGTH,
+    MIXED_DELIMITERS,
+    ROUND_DELIMITERS,
+    checkInternalBrackets,
+    delimiterMap,
+    explain,
+    getAlgorithm,
+    getPairMap,
+    listAlgorithms,
+    listPairMaps,
+    normalize,
+    normalizeBrackets,
+    normalizePairs,
+    normalizePairsEN,
+    pairMap,
+    resolveOptions
+  };
+});
\ No newline at end of file
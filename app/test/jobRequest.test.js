@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { JobRequestError, parseSpiralInput } = require('../services/jobRequest');
+const { MAX_INPUTS, MAX_INPUT_LENGTH, MAX_TOTAL_LENGTH } = require('../services/normalization');
+
+test('accepts a word list within the shared limits', () => {
+  const { words, content } = parseSpiralInput({ words: ['a, b', ''] });
+
+  assert.deepStrictEqual(words, ['a, b', '']);
+  assert.strictEqual(content, 'a, b, ');
+});
+
+test('rejects word lists over the shared limits', () => {
+  const oversized = [
+    Array(MAX_INPUTS + 1).fill('a'),
+    ['a'.repeat(MAX_INPUT_LENGTH + 1)],
+    Array(MAX_TOTAL_LENGTH / MAX_INPUT_LENGTH + 1).fill('a'.repeat(MAX_INPUT_LENGTH))
+  ];
+
+  oversized.forEach(words => {
+    assert.throws(() => parseSpiralInput({ words }), error => error instanceof JobRequestError && error.status === 400);
+  });
+});
\ No newline at end of file
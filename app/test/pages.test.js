@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const pageRoutes = require('../routes/pages');
+
+test('page routes', async (t) => {
+  const app = express();
+  app.use('/', pageRoutes);
+  const server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  t.after(() => server.close());
+  const url = pathname => `http://127.0.0.1:${server.address().port}${pathname}`;
+
+  await t.test('redirects the old static pairs page to /pairs-en', async () => {
+    const response = await fetch(url('/pairs-en.html'), { redirect: 'manual' });
+
+    assert.strictEqual(response.status, 301);
+    assert.strictEqual(response.headers.get('location'), '/pairs-en');
+  });
+
+  await t.test('keeps the query string when redirecting', async () => {
+    const response = await fetch(url('/pairs-en.html?from=bookmark'), { redirect: 'manual' });
+
+    assert.strictEqual(response.headers.get('location'), '/pairs-en?from=bookmark');
+  });
+
+  await t.test('serves the pairs page of a known map only', async () => {
+    const page = await fetch(url('/pairs-en'));
+    const unknown = await fetch(url('/pairs-xx'));
+
+    assert.strictEqual(page.status, 200);
+    assert.match(page.headers.get('content-type'), /html/);
+    assert.strictEqual(unknown.status, 404);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const SpiralGenerator = require('../services/spiralGenerator');
+
+test('builds a spiral of thousands of words quickly', () => {
+  // Mixed ASCII and wide words, up to the 10000 inputs the normalize flow accepts
+  const words = Array.from({ length: 10000 }, (_, i) => (i % 7 === 0 ? `日本${i}` : `word${i}`));
+
+  const start = Date.now();
+  const layout = SpiralGenerator.generateLayout(words);
+  const elapsed = Date.now() - start;
+
+  assert.strictEqual(layout.words.length, words.length);
+  assert.ok(elapsed < 2000, `10000 words took ${elapsed}ms`);
+});
+
+test('measures wide and combining characters in columns', () => {
+  assert.strictEqual(SpiralGenerator.textWidth('abc'), 3);
+  assert.strictEqual(SpiralGenerator.textWidth('日本'), 4);
+  assert.strictEqual(SpiralGenerator.textWidth('é'), 1);
+});
+
+test('keeps every line of the spiral the same width', () => {
+  const layout = SpiralGenerator.generateLayout(['a', '日本', 'café', '😀', 'longer word', 'x'], { snail: false });
+
+  layout.lines.forEach(line => {
+    assert.strictEqual(SpiralGenerator.textWidth(line), layout.width);
+  });
+});
\ No newline at end of file